@@ -0,0 +1,275 @@
+const { io } = require('socket.io-client');
+
+// Movement commands per second, like a client rendering at 60 fps
+const COMMAND_RATE = 60;
+
+// Commands are sent in batches this often, like NetworkClient does (ms)
+const SEND_INTERVAL_MS = 1000 / 20;
+
+// Most commands sent at once after the event loop stalled; the rest of the
+// time is skipped rather than sent faster than real time
+const MAX_COMMANDS_PER_SEND = 12;
+
+// Decoded snapshots kept as delta bases (the server keeps 32)
+const SNAPSHOT_HISTORY_SIZE = 32;
+
+// Bots stay within this distance of the spawn point, so they keep meeting each other
+const WANDER_RADIUS = 40;
+
+// Average time a bot keeps walking in one direction, or standing still (s)
+const WANDER_LEG_SECONDS = 4;
+
+// Chance that a new leg is spent standing still, and of a jump per second of walking
+const IDLE_CHANCE = 0.3;
+const JUMPS_PER_SECOND = 0.1;
+
+const CHAT_LINES = ['hi!', 'anyone here?', 'nice hot spring', 'brb', 'lol', 'where is everyone going?', 'this place is cozy'];
+
+// The shared protocol modules are ES modules, loaded once by loadSharedModules()
+const shared = {
+  protocol: null,
+  snapshotCodec: null
+};
+
+async function loadSharedModules() {
+  shared.protocol = await import('../../shared/protocol.js');
+  shared.snapshotCodec = await import('../../shared/snapshotCodec.js');
+}
+
+// Random delay with the given mean, spread like independent events (exponential)
+function randomDelay(meanSeconds) {
+  return -Math.log(1 - Math.random()) * meanSeconds * 1000;
+}
+
+// Size of an event payload on the wire, near enough for throughput figures
+function payloadBytes(args) {
+  return args.reduce((total, arg) => {
+    if (arg instanceof ArrayBuffer || ArrayBuffer.isView(arg)) return total + arg.byteLength;
+    return total + (arg === undefined ? 0 : JSON.stringify(arg).length);
+  }, 0);
+}
+
+// Create a guest account; every bot has its own, like a separate browser
+async function createGuest(url) {
+  const response = await fetch(`${url}/auth/guest`, { method: 'POST' });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Guest account request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data.token;
+}
+
+// One headless player. It joins, walks around sending inputs at a browser's
+// pace, chats now and then, and drops or closes its connection from time to
+// time. Everything it measures goes into stats (see index.js).
+//
+// options: { url, name, room, chatInterval, reconnectInterval } (intervals are
+// average seconds between events, 0 turns them off)
+function createBot(options, stats) {
+  const { encodeInput, quantizeCommand } = shared.protocol;
+  const { decodeSnapshot } = shared.snapshotCodec;
+
+  let socket = null;
+  let playerId = null;
+  let sessionToken = null;
+  let stopped = false;
+  const timers = new Set();
+
+  // Snapshot decoding, as in NetworkClient
+  const snapshotHistory = new Map();
+  let latestTick = 0;
+
+  // Movement: current direction, our position from the server's acks, and
+  // the send time of every unacknowledged batch by its last sequence number
+  let seq = 0;
+  let direction = { x: 0, z: 0 };
+  let position = { x: 0, z: 0 };
+  let lastCommandTime = 0;
+  const sentBatches = new Map();
+
+  // Send time of our chat messages that haven't come back yet, by text
+  const pendingChats = new Map();
+
+  function later(callback, delay) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      if (!stopped) callback();
+    }, delay);
+    timers.add(timer);
+  }
+
+  function every(callback, interval) {
+    const timer = setInterval(callback, interval);
+    timers.add(timer);
+  }
+
+  function emit(event, ...args) {
+    if (socket && socket.connected) socket.emit(event, ...args);
+  }
+
+  function resetSnapshots() {
+    snapshotHistory.clear();
+    latestTick = 0;
+    sentBatches.clear();
+  }
+
+  // Pick a new direction, turning back towards the spawn point when too far out
+  function chooseDirection() {
+    if (Math.hypot(position.x, position.z) > WANDER_RADIUS) {
+      const angle = Math.atan2(-position.x, -position.z) + (Math.random() - 0.5);
+      direction = { x: Math.sin(angle), z: Math.cos(angle) };
+    } else if (Math.random() < IDLE_CHANCE) {
+      direction = { x: 0, z: 0 };
+    } else {
+      const angle = Math.random() * Math.PI * 2;
+      direction = { x: Math.sin(angle), z: Math.cos(angle) };
+    }
+    later(chooseDirection, randomDelay(WANDER_LEG_SECONDS));
+  }
+
+  // Commands for the time since the last send, at COMMAND_RATE
+  function sendInputs() {
+    const now = performance.now();
+    const count = Math.floor((now - lastCommandTime) * COMMAND_RATE / 1000);
+    if (!playerId || count < 1) return;
+    lastCommandTime += count * 1000 / COMMAND_RATE;
+    if (count > MAX_COMMANDS_PER_SEND) lastCommandTime = now;
+
+    const walking = direction.x !== 0 || direction.z !== 0;
+    const commands = [];
+    for (let i = 0; i < Math.min(count, MAX_COMMANDS_PER_SEND); i++) {
+      seq++;
+      commands.push(quantizeCommand({
+        seq,
+        moveX: direction.x,
+        moveZ: direction.z,
+        dt: 1 / COMMAND_RATE,
+        jump: walking && Math.random() < JUMPS_PER_SECOND / COMMAND_RATE
+      }));
+    }
+
+    sentBatches.set(seq, now);
+    emit('input', encodeInput(commands, latestTick));
+  }
+
+  function onSnapshot(data) {
+    let snapshot;
+    try {
+      snapshot = decodeSnapshot(data, (baseTick) => snapshotHistory.get(baseTick) || null);
+    } catch (error) {
+      stats.count('snapshotDecodeErrors');
+      return;
+    }
+
+    snapshotHistory.set(snapshot.tick, snapshot.entities);
+    if (snapshotHistory.size > SNAPSHOT_HISTORY_SIZE) {
+      snapshotHistory.delete(snapshotHistory.keys().next().value);
+    }
+    if (snapshot.tick <= latestTick) return;
+    latestTick = snapshot.tick;
+
+    if (!snapshot.ack) return;
+    position = { x: snapshot.ack.state.x, z: snapshot.ack.state.z };
+    const now = performance.now();
+    sentBatches.forEach((sentAt, lastSeq) => {
+      if (lastSeq > snapshot.ack.seq) return;
+      stats.sample('inputAck', now - sentAt);
+      sentBatches.delete(lastSeq);
+    });
+  }
+
+  function sendChat() {
+    if (playerId) {
+      const text = CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)];
+      // Only the newest of the same text is timed, repeats are rare enough
+      pendingChats.set(text, performance.now());
+      emit('chat', { text });
+    }
+    later(sendChat, randomDelay(options.chatInterval));
+  }
+
+  // Half the time the connection breaks (socket.io reconnects and the player
+  // is resumed with the session token), otherwise the bot leaves and comes back
+  function reconnect() {
+    if (Math.random() < 0.5) {
+      stats.count('connectionsDropped');
+      socket.io.engine.close();
+    } else {
+      stats.count('leaves');
+      sessionToken = null;
+      socket.disconnect();
+      later(() => socket.connect(), 1000 + Math.random() * 4000);
+    }
+    later(reconnect, randomDelay(options.reconnectInterval));
+  }
+
+  function connect(token) {
+    socket = io(options.url, {
+      transports: ['websocket'],
+      auth: { token },
+      // Every bot needs a connection of its own
+      forceNew: true
+    });
+
+    socket.onAny((event, ...args) => stats.received(payloadBytes(args)));
+    socket.onAnyOutgoing((event, ...args) => stats.sent(payloadBytes(args)));
+
+    socket.on('connect', () => {
+      resetSnapshots();
+      const join = { name: options.name, room: options.room };
+      if (sessionToken) join.sessionToken = sessionToken;
+      emit('join', join);
+    });
+
+    socket.on('connect_error', (error) => stats.count(`connectError:${error.message}`));
+
+    socket.on('disconnect', () => {
+      playerId = null;
+    });
+
+    socket.on('gameState', (state) => {
+      stats.count(state.resumed ? 'resumed' : 'joined');
+      playerId = state.playerId;
+      sessionToken = state.sessionToken;
+      const self = state.players.find(player => player.id === state.playerId);
+      position = { x: self.position.x, z: self.position.z };
+      lastCommandTime = performance.now();
+      resetSnapshots();
+    });
+
+    socket.on('snapshot', onSnapshot);
+
+    socket.on('chat', (message) => {
+      if (message.playerId !== playerId || !pendingChats.has(message.text)) return;
+      stats.sample('chatEcho', performance.now() - pendingChats.get(message.text));
+      pendingChats.delete(message.text);
+    });
+
+    socket.on('rejected', ({ event, code }) => stats.count(`rejected:${event}:${code}`));
+    socket.on('kicked', ({ reason }) => stats.count(`kicked:${reason}`));
+  }
+
+  return {
+    async start() {
+      connect(await createGuest(options.url));
+      every(sendInputs, SEND_INTERVAL_MS);
+      chooseDirection();
+      if (options.chatInterval > 0) later(sendChat, randomDelay(options.chatInterval));
+      if (options.reconnectInterval > 0) later(reconnect, randomDelay(options.reconnectInterval));
+    },
+
+    stop() {
+      stopped = true;
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      if (socket) socket.disconnect();
+    }
+  };
+}
+
+module.exports = {
+  loadSharedModules,
+  createBot
+};
@@ -0,0 +1,258 @@
+// Load test: run headless bots against a server and report what they saw.
+//
+//   npm run bots -- --bots 100 --duration 120 --url http://localhost:3000
+//
+// Every bot creates a guest account, so start the server with a higher
+// AUTH_RATE_BURST (e.g. AUTH_RATE_BURST=1000) when running more than a few.
+const { loadSharedModules, createBot } = require('./bot');
+
+const DEFAULT_OPTIONS = {
+  url: 'http://localhost:3000',
+  // Number of bots, and the time over which they join (s)
+  bots: 10,
+  ramp: 10,
+  // Length of the run after the last bot started (s)
+  duration: 60,
+  // Room the bots join, away from real players unless set to theirs
+  room: 'bots',
+  // Average time between a bot's chat messages, and between its reconnects (s, 0 = never)
+  chat: 30,
+  reconnect: 60,
+  // Print the report as JSON instead of text
+  json: false
+};
+
+// How often /status is polled for the peak player count (ms)
+const STATUS_POLL_MS = 5000;
+
+const USAGE = `Usage: npm run bots -- [options]
+  --url <url>          Server to test (${DEFAULT_OPTIONS.url})
+  --bots <n>           Number of bots (${DEFAULT_OPTIONS.bots})
+  --ramp <s>           Spread the joins over this many seconds (${DEFAULT_OPTIONS.ramp})
+  --duration <s>       Keep running this long after the last join (${DEFAULT_OPTIONS.duration})
+  --room <name>        Room to join (${DEFAULT_OPTIONS.room})
+  --chat <s>           Average seconds between a bot's chat messages, 0 = never (${DEFAULT_OPTIONS.chat})
+  --reconnect <s>      Average seconds between a bot's reconnects, 0 = never (${DEFAULT_OPTIONS.reconnect})
+  --json               Print the report as JSON`;
+
+// "--name value", "--name=value" and "--flag"
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match || !(match[1] in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+    const [, name, inlineValue] = match;
+    if (typeof DEFAULT_OPTIONS[name] === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) throw new Error(`Missing value for --${name}`);
+    if (typeof DEFAULT_OPTIONS[name] === 'number') {
+      options[name] = Number(value);
+      if (!Number.isFinite(options[name]) || options[name] < 0) throw new Error(`Invalid value for --${name}: ${value}`);
+    } else {
+      options[name] = value;
+    }
+  }
+  options.url = options.url.replace(/\/$/, '');
+  return options;
+}
+
+// Counters, latency samples and traffic of all bots together
+function createStats() {
+  const counters = {};
+  const samples = {};
+  const traffic = { messagesSent: 0, bytesSent: 0, messagesReceived: 0, bytesReceived: 0 };
+
+  return {
+    counters,
+    samples,
+    traffic,
+    count(name) {
+      counters[name] = (counters[name] || 0) + 1;
+    },
+    sample(name, value) {
+      (samples[name] = samples[name] || []).push(value);
+    },
+    sent(bytes) {
+      traffic.messagesSent++;
+      traffic.bytesSent += bytes;
+    },
+    received(bytes) {
+      traffic.messagesReceived++;
+      traffic.bytesReceived += bytes;
+    }
+  };
+}
+
+function percentiles(values) {
+  if (!values || !values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  const round = (value) => Math.round(value * 10) / 10;
+  return { count: sorted.length, p50: round(at(0.5)), p90: round(at(0.9)), p99: round(at(0.99)), max: round(sorted[sorted.length - 1]) };
+}
+
+async function fetchStatus(url) {
+  try {
+    const response = await fetch(`${url}/status`);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildReport(options, stats, run) {
+  const seconds = run.seconds;
+  const { traffic } = stats;
+  const report = {
+    url: options.url,
+    bots: options.bots,
+    failedToStart: run.failedToStart,
+    seconds: Math.round(seconds),
+    events: stats.counters,
+    latencyMs: {
+      // From sending a batch of inputs to the snapshot that acknowledges it,
+      // including the wait for the next server tick
+      inputAck: percentiles(stats.samples.inputAck),
+      // From sending a chat message to receiving it back from the room
+      chatEcho: percentiles(stats.samples.chatEcho)
+    },
+    throughput: {
+      messagesSentPerSecond: Math.round(traffic.messagesSent / seconds),
+      messagesReceivedPerSecond: Math.round(traffic.messagesReceived / seconds),
+      kilobytesSentPerSecond: Math.round(traffic.bytesSent / seconds / 1024),
+      kilobytesReceivedPerSecond: Math.round(traffic.bytesReceived / seconds / 1024)
+    },
+    // CPU of the bots themselves; near 100% means they, not the server, were the limit
+    botCpuPercent: Math.round(run.botCpuSeconds / seconds * 100),
+    server: null
+  };
+
+  const { first, last, peakPlayers } = run.status;
+  if (first && last && typeof first.cpuSeconds === 'number') {
+    report.server = {
+      cpuPercent: Math.round((last.cpuSeconds - first.cpuSeconds) / ((last.uptime - first.uptime) || seconds) * 100),
+      peakPlayers,
+      workers: last.workers ? last.workers.length : 1
+    };
+  }
+  return report;
+}
+
+function formatLatency(name, latency) {
+  if (!latency) return `  ${name}: no samples`;
+  return `  ${name}: p50 ${latency.p50} ms, p90 ${latency.p90} ms, p99 ${latency.p99} ms, max ${latency.max} ms (${latency.count} samples)`;
+}
+
+function printReport(report) {
+  const lines = [
+    `Load test of ${report.url}: ${report.bots} bots for ${report.seconds} s` +
+      (report.failedToStart ? ` (${report.failedToStart} failed to start)` : ''),
+    'Latency',
+    formatLatency('input ack', report.latencyMs.inputAck),
+    formatLatency('chat echo', report.latencyMs.chatEcho),
+    'Throughput (all bots)',
+    `  sent: ${report.throughput.messagesSentPerSecond} msg/s, ${report.throughput.kilobytesSentPerSecond} KiB/s`,
+    `  received: ${report.throughput.messagesReceivedPerSecond} msg/s, ${report.throughput.kilobytesReceivedPerSecond} KiB/s`,
+    'Server',
+    report.server
+      ? `  CPU ${report.server.cpuPercent}% over ${report.server.workers} worker(s), peak ${report.server.peakPlayers} players`
+      : '  /status not available or without CPU figures',
+    `  bot process CPU ${report.botCpuPercent}%`,
+    'Events',
+    ...Object.keys(report.events).sort().map(name => `  ${name}: ${report.events[name]}`)
+  ];
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  if (process.argv.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  await loadSharedModules();
+  const stats = createStats();
+
+  const first = await fetchStatus(options.url);
+  if (!first) {
+    console.error(`No server answering at ${options.url}/status`);
+    process.exit(1);
+  }
+  const status = { first, last: null, peakPlayers: first.playerCount };
+  const statusPoll = setInterval(async () => {
+    const current = await fetchStatus(options.url);
+    if (current) status.peakPlayers = Math.max(status.peakPlayers, current.playerCount);
+  }, STATUS_POLL_MS);
+
+  const startTime = performance.now();
+  const startCpu = process.cpuUsage();
+  const bots = [];
+  let failedToStart = 0;
+  let rateLimited = false;
+
+  console.log(`Starting ${options.bots} bots against ${options.url} over ${options.ramp} s`);
+  for (let i = 0; i < options.bots; i++) {
+    const bot = createBot({
+      url: options.url,
+      name: `bot ${i + 1}`,
+      room: options.room,
+      chatInterval: options.chat,
+      reconnectInterval: options.reconnect
+    }, stats);
+    try {
+      await bot.start();
+      bots.push(bot);
+    } catch (error) {
+      failedToStart++;
+      stats.count('startFailed');
+      if (error.status === 429) rateLimited = true;
+    }
+    if (i < options.bots - 1) await sleep(options.ramp * 1000 / (options.bots - 1));
+  }
+  if (rateLimited) {
+    console.warn('Guest accounts were rate limited; restart the server with a higher AUTH_RATE_BURST');
+  }
+
+  console.log(`Running for ${options.duration} s`);
+  await sleep(options.duration * 1000);
+
+  clearInterval(statusPoll);
+  status.last = await fetchStatus(options.url);
+  if (status.last) status.peakPlayers = Math.max(status.peakPlayers, status.last.playerCount);
+  const botCpu = process.cpuUsage(startCpu);
+  bots.forEach(bot => bot.stop());
+
+  const report = buildReport(options, stats, {
+    seconds: (performance.now() - startTime) / 1000,
+    botCpuSeconds: (botCpu.user + botCpu.system) / 1e6,
+    failedToStart,
+    status
+  });
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  // Let the bots' disconnects go out before exiting
+  await sleep(500);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { hashPassword, verifyPassword } = require('./auth');
+const { validateName } = require('./nameValidator');
+
+// Where accounts are kept on disk
+const ACCOUNT_STORE_FILE = process.env.ACCOUNT_STORE_FILE || path.join(__dirname, 'data', 'accounts.ndjson');
+
+// Usernames of named accounts (they also become the display name)
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+const store = createJsonStore(ACCOUNT_STORE_FILE);
+
+// Lowercase username -> account id, so names are unique regardless of case
+const usernames = new Map();
+
+function accountError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function loadAccounts() {
+  await store.load();
+  store.entries().forEach(([id, account]) => {
+    if (account.username) usernames.set(account.username.toLowerCase(), id);
+  });
+}
+
+// Accounts upgraded on other cluster workers
+store.onChange((id, account) => {
+  if (account && account.username) usernames.set(account.username.toLowerCase(), id);
+});
+
+function getAccount(accountId) {
+  return store.get(accountId);
+}
+
+// Whether a name belongs to a named account other than the given one
+function isUsernameTaken(name, accountId = null) {
+  const owner = usernames.get(String(name).toLowerCase());
+  return !!owner && owner !== accountId;
+}
+
+// A new anonymous account
+function createGuestAccount() {
+  const account = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    kind: 'guest',
+    createdAt: Date.now()
+  };
+  store.set(account.id, account);
+  return account;
+}
+
+// Turn a guest account into a named account with a password, keeping its id
+// (and so its profile). Throws an error with a code if that isn't possible.
+async function upgradeAccount(account, username, password) {
+  if (account.kind !== 'guest') {
+    throw accountError('already_named', 'Account already has a username');
+  }
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw accountError('invalid_username', 'Usernames are 3-20 letters, digits or underscores');
+  }
+  const nameCheck = validateName(username);
+  if (nameCheck.error) {
+    throw accountError(nameCheck.error.code, nameCheck.error.message);
+  }
+  if (isUsernameTaken(username, account.id)) {
+    throw accountError('username_taken', 'Username is already taken');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw accountError('invalid_password', `Passwords are ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  // Checked again after hashing, another request may have changed things in the meantime
+  const current = store.get(account.id);
+  if (current.kind !== 'guest') {
+    throw accountError('already_named', 'Account already has a username');
+  }
+  if (isUsernameTaken(username, account.id)) {
+    throw accountError('username_taken', 'Username is already taken');
+  }
+
+  const upgraded = { ...current, kind: 'account', username, passwordHash, upgradedAt: Date.now() };
+  usernames.set(username.toLowerCase(), account.id);
+  await store.set(account.id, upgraded);
+  return upgraded;
+}
+
+// Find the named account for a username and password, or null
+async function authenticateAccount(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return null;
+  }
+
+  const accountId = usernames.get(username.toLowerCase());
+  const account = accountId && store.get(accountId);
+  if (!account || !(await verifyPassword(password, account.passwordHash))) {
+    return null;
+  }
+  return account;
+}
+
+// Ban or unban an account; banned accounts can't connect
+function setBanned(account, banned, reason = null) {
+  const updated = { ...account, banned, banReason: banned ? reason : null };
+  store.set(account.id, updated);
+  return updated;
+}
+
+function getBannedAccounts() {
+  return store.entries().map(([, account]) => account).filter(account => account.banned);
+}
+
+// Finish writing accounts, e.g. before the process exits
+function closeAccounts() {
+  return store.close();
+}
+
+// Account details a client may see about itself
+function toPublicAccount(account) {
+  return {
+    id: account.id,
+    kind: account.kind,
+    username: account.username || null
+  };
+}
+
+module.exports = {
+  loadAccounts,
+  getAccount,
+  isUsernameTaken,
+  createGuestAccount,
+  upgradeAccount,
+  authenticateAccount,
+  setBanned,
+  getBannedAccounts,
+  closeAccounts,
+  toPublicAccount
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const express = require('express');
+const { sendError } = require('./authRoutes');
+const { limitRequestsByAddress } = require('./rateLimiter');
+const { getRooms, getRoom, findPlayer, updateRoomSettings, getRoomStatus } = require('./roomManager');
+const { getAccount, setBanned, getBannedAccounts } = require('./accounts');
+const { banAddress, unbanAddress, getAddressBans } = require('./bans');
+const { getSocketAddress, getRequestAddress, isProxyAddress, isKnownProxyAddress } = require('./clientAddress');
+const { kickPlayer } = require('./playerLifecycle');
+const { shareRoomSettings } = require('./clusterSync');
+const { teleportPlayer } = require('./gameLoop');
+const { validatePosition } = require('./movementValidator');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'admin' });
+
+// Secret for the admin API, sent as "Authorization: Bearer <key>". The API is off without it.
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
+
+// Requests per client address, so the key can't be guessed quickly
+const ADMIN_RATE_LIMIT = { burst: 20, perSecond: 2 };
+
+const MAX_REASON_LENGTH = 200;
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+const MAX_ROOM_CAPACITY = 500;
+
+// Compare digests so the time taken doesn't reveal how much of the key matched
+function isAdminKey(key) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(key), digest(ADMIN_KEY));
+}
+
+function requireAdminKey(req, res, next) {
+  const [scheme, key] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !key || !isAdminKey(key)) {
+    log.warn('Rejected request', { address: getRequestAddress(req), method: req.method, path: req.path });
+    sendError(res, 401, 'unauthorized', 'Valid admin key required');
+    return;
+  }
+  next();
+}
+
+// Optional reason text from a request body, or null
+function getReason(body) {
+  const reason = body && body.reason;
+  return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+}
+
+// What admins see about a player
+function toAdminPlayer(io, room, player) {
+  const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+  return {
+    id: player.id,
+    name: player.name,
+    accountId: player.accountId,
+    room: room.id,
+    position: player.position,
+    rotation: player.rotation,
+    animationState: player.animationState,
+    connected: !!socket,
+    // Cluster worker simulating the player, when it isn't this one
+    worker: player.remote ? player.workerIndex : undefined,
+    address: socket ? getSocketAddress(socket) : null,
+    transport: socket ? socket.conn.transport.name : null,
+    connectedAt: socket ? socket.handshake.issued : null,
+    strikes: (player.strikes || []).length
+  };
+}
+
+// Players of every room whose account or address matches, to kick after a ban
+function findPlayersBy(io, matches) {
+  return getRooms().flatMap(room => room.players.getAllPlayers()
+    .filter(player => matches(player, player.socketId && io.sockets.sockets.get(player.socketId)))
+    .map(player => ({ room, player })));
+}
+
+// Live server management under /admin, protected by ADMIN_KEY.
+// getIo returns the socket.io server, which is created after the routes.
+function createAdminRouter(getIo) {
+  const router = express.Router();
+
+  if (!ADMIN_KEY) {
+    log.info('Admin API disabled (set ADMIN_KEY to enable it)');
+    router.use((req, res) => sendError(res, 404, 'admin_disabled', 'Admin API is disabled'));
+    return router;
+  }
+
+  router.use(limitRequestsByAddress(ADMIN_RATE_LIMIT));
+  router.use(requireAdminKey);
+  router.use(express.json({ limit: '4kb' }));
+
+  // The socket server exists once the shared modules are loaded
+  router.use((req, res, next) => {
+    if (!getIo()) {
+      sendError(res, 503, 'starting', 'Server is still starting');
+      return;
+    }
+    next();
+  });
+
+  // Look up the player in the :id parameter, or answer 404
+  router.param('id', (req, res, next, id) => {
+    const found = findPlayer(id);
+    if (!found) {
+      sendError(res, 404, 'player_not_found', 'No such player');
+      return;
+    }
+    req.room = found.room;
+    req.player = found.player;
+    next();
+  });
+
+  // All players, or those of one room (?room=<id>)
+  router.get('/players', (req, res) => {
+    const rooms = req.query.room ? [getRoom(req.query.room)].filter(Boolean) : getRooms();
+    const players = rooms.flatMap(room => room.players.getAllPlayers().map(player => toAdminPlayer(getIo(), room, player)));
+    res.status(200).json({ players });
+  });
+
+  router.get('/players/:id', (req, res) => {
+    res.status(200).json(toAdminPlayer(getIo(), req.room, req.player));
+  });
+
+  // Disconnect a player; they can join again
+  router.post('/players/:id/kick', (req, res) => {
+    const reason = getReason(req.body) || 'Kicked by an admin';
+    log.warn('Kicking player', { playerId: req.player.id, name: req.player.name, reason });
+    kickPlayer(getIo(), req.room, req.player, reason);
+    res.status(200).json({ kicked: req.player.id });
+  });
+
+  // Ban a player's account, and with { address: true } also the address it connects from
+  router.post('/players/:id/ban', (req, res) => {
+    const reason = getReason(req.body) || 'Banned by an admin';
+    const socket = req.player.socketId && getIo().sockets.sockets.get(req.player.socketId);
+    const banningAddress = req.body && req.body.address === true && socket;
+    // Banning a proxy would refuse everyone connecting through it
+    if (banningAddress && isProxyAddress(socket)) {
+      sendError(res, 409, 'proxy_address', `${getSocketAddress(socket)} is a proxy's address, set TRUST_PROXY to ban the client behind it`);
+      return;
+    }
+
+    const account = getAccount(req.player.accountId);
+    if (account) setBanned(account, true, reason);
+    const address = banningAddress ? banAddress(getSocketAddress(socket), reason).address : null;
+
+    log.warn('Banning player', { playerId: req.player.id, name: req.player.name, accountId: req.player.accountId, address, reason });
+    findPlayersBy(getIo(), (player, playerSocket) => player.accountId === req.player.accountId ||
+      (address && playerSocket && getSocketAddress(playerSocket) === address))
+      .forEach(({ room, player }) => kickPlayer(getIo(), room, player, reason));
+    res.status(200).json({ accountId: req.player.accountId, address });
+  });
+
+  // Move a player, body { x, y, z } inside the world bounds
+  router.post('/players/:id/teleport', (req, res) => {
+    if (req.player.remote) {
+      sendError(res, 409, 'other_worker', `Player is simulated by cluster worker ${req.player.workerIndex}`);
+      return;
+    }
+    const position = {
+      x: Number(req.body && req.body.x),
+      y: Number(req.body && req.body.y !== undefined ? req.body.y : 0),
+      z: Number(req.body && req.body.z)
+    };
+    const error = validatePosition(position);
+    if (error) {
+      sendError(res, 400, 'invalid_position', `Invalid position: ${error}`);
+      return;
+    }
+    teleportPlayer(req.room, req.player, position);
+    log.warn('Teleported player', { playerId: req.player.id, name: req.player.name, position });
+    res.status(200).json({ id: req.player.id, position: req.player.position });
+  });
+
+  router.get('/bans', (req, res) => {
+    res.status(200).json({
+      accounts: getBannedAccounts().map(account => ({ id: account.id, username: account.username || null, reason: account.banReason })),
+      addresses: getAddressBans()
+    });
+  });
+
+  // Ban an account by id, body { accountId, reason }
+  router.post('/bans/accounts', (req, res) => {
+    const account = getAccount(req.body && req.body.accountId);
+    if (!account) {
+      sendError(res, 404, 'account_not_found', 'No such account');
+      return;
+    }
+    const reason = getReason(req.body) || 'Banned by an admin';
+    setBanned(account, true, reason);
+    log.warn('Banning account', { accountId: account.id, reason });
+    findPlayersBy(getIo(), player => player.accountId === account.id)
+      .forEach(({ room, player }) => kickPlayer(getIo(), room, player, reason));
+    res.status(200).json({ accountId: account.id });
+  });
+
+  router.delete('/bans/accounts/:accountId', (req, res) => {
+    const account = getAccount(req.params.accountId);
+    if (!account || !account.banned) {
+      sendError(res, 404, 'ban_not_found', 'Account is not banned');
+      return;
+    }
+    setBanned(account, false);
+    log.warn('Unbanned account', { accountId: account.id });
+    res.status(200).json({ accountId: account.id });
+  });
+
+  // Ban a client address, body { address, reason }
+  router.post('/bans/addresses', (req, res) => {
+    const address = req.body && req.body.address;
+    if (typeof address !== 'string' || !address.trim() || address.length > 64) {
+      sendError(res, 400, 'invalid_address', 'address is required');
+      return;
+    }
+    if (isKnownProxyAddress(address, req, getIo().sockets.sockets.values())) {
+      sendError(res, 409, 'proxy_address', `${address.trim()} is a proxy's address, set TRUST_PROXY to ban the clients behind it`);
+      return;
+    }
+    const ban = banAddress(address, getReason(req.body) || 'Banned by an admin');
+    log.warn('Banning address', { address: ban.address, reason: ban.reason });
+    findPlayersBy(getIo(), (player, socket) => socket && getSocketAddress(socket) === ban.address)
+      .forEach(({ room, player }) => kickPlayer(getIo(), room, player, ban.reason));
+    res.status(200).json(ban);
+  });
+
+  router.delete('/bans/addresses/:address', (req, res) => {
+    if (!unbanAddress(req.params.address)) {
+      sendError(res, 404, 'ban_not_found', 'Address is not banned');
+      return;
+    }
+    log.warn('Unbanned address', { address: req.params.address });
+    res.status(200).json({ address: req.params.address });
+  });
+
+  // Message to every player, or to one room, body { message, room }
+  router.post('/announcements', (req, res) => {
+    const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      sendError(res, 400, 'invalid_message', `message must be 1-${MAX_ANNOUNCEMENT_LENGTH} characters`);
+      return;
+    }
+    const roomId = req.body.room;
+    if (roomId !== undefined && !getRoom(roomId)) {
+      sendError(res, 404, 'room_not_found', 'No such room');
+      return;
+    }
+
+    const announcement = { message, time: Date.now() };
+    const target = roomId !== undefined ? getIo().to(roomId) : getIo();
+    target.emit('announcement', announcement);
+    log.warn('Announcement', { room: roomId || null, message });
+    res.status(200).json(announcement);
+  });
+
+  router.get('/rooms', (req, res) => {
+    res.status(200).json({ rooms: getRoomStatus() });
+  });
+
+  // Change a room instance's settings, body { capacity, locked }
+  router.patch('/rooms/:roomId', (req, res) => {
+    const room = getRoom(req.params.roomId);
+    if (!room) {
+      sendError(res, 404, 'room_not_found', 'No such room');
+      return;
+    }
+
+    const { capacity, locked } = req.body || {};
+    if (capacity !== undefined && !(Number.isInteger(capacity) && capacity >= 1 && capacity <= MAX_ROOM_CAPACITY)) {
+      sendError(res, 400, 'invalid_settings', `capacity must be a whole number from 1 to ${MAX_ROOM_CAPACITY}`);
+      return;
+    }
+    if (locked !== undefined && typeof locked !== 'boolean') {
+      sendError(res, 400, 'invalid_settings', 'locked must be true or false');
+      return;
+    }
+
+    updateRoomSettings(room, { capacity, locked });
+    shareRoomSettings(getIo(), room);
+    res.status(200).json(getRoomStatus().find(status => status.id === room.id));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
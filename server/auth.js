@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'auth' });
+
+const scrypt = promisify(crypto.scrypt);
+
+// Tokens are valid this long after they were issued; clients get a fresh
+// one every time they join, so only accounts unused for this long expire
+const TOKEN_TTL_MS = (parseInt(process.env.AUTH_TOKEN_TTL_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+
+// Used when AUTH_SECRET isn't set, so tokens survive restarts during development
+const SECRET_FILE = path.join(__dirname, 'data', 'auth-secret');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+let secret = null;
+
+// Read the signing secret from AUTH_SECRET, or from (or into) SECRET_FILE
+async function loadAuthSecret() {
+  if (process.env.AUTH_SECRET) {
+    secret = process.env.AUTH_SECRET;
+    return;
+  }
+
+  try {
+    secret = (await fs.promises.readFile(SECRET_FILE, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    secret = crypto.randomBytes(32).toString('base64url');
+    await fs.promises.mkdir(path.dirname(SECRET_FILE), { recursive: true });
+    await fs.promises.writeFile(SECRET_FILE, secret, { mode: 0o600 });
+  }
+  log.warn('AUTH_SECRET is not set, signing tokens with the secret in a file', { file: SECRET_FILE });
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Token format: base64url(JSON { sub, iat, exp }) + "." + HMAC of that part
+function issueToken(account) {
+  const now = Date.now();
+  const payload = Buffer.from(JSON.stringify({
+    sub: account.id,
+    iat: now,
+    exp: now + TOKEN_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Check a token's signature and expiry, returns the account id or null
+function verifyToken(token) {
+  if (typeof token !== 'string' || token.length > 512) return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.sub !== 'string' || !(claims.exp > Date.now())) return null;
+    return claims.sub;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Hash a password as "salt:hash" (both hex) with scrypt
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length === 0) return false;
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  loadAuthSecret,
+  issueToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword
+};
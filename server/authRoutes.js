@@ -0,0 +1,119 @@
+const express = require('express');
+const { issueToken, verifyToken } = require('./auth');
+const {
+  getAccount,
+  createGuestAccount,
+  upgradeAccount,
+  authenticateAccount,
+  toPublicAccount
+} = require('./accounts');
+const { limitRequestsByAddress } = require('./rateLimiter');
+const { getAddressBan } = require('./bans');
+const { getRequestAddress } = require('./clientAddress');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'auth' });
+
+// Requests per client address to the auth endpoints (password checks are slow
+// on purpose). Load tests from one machine raise the burst with AUTH_RATE_BURST.
+const AUTH_RATE_LIMIT = { burst: parseInt(process.env.AUTH_RATE_BURST, 10) || 10, perSecond: 0.2 };
+
+// Account behind the "Authorization: Bearer <token>" header, or null
+function getRequestAccount(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer') return null;
+
+  const accountId = verifyToken(token);
+  return accountId ? getAccount(accountId) : null;
+}
+
+// Response for a client that just got a token for an account
+function sendToken(res, account) {
+  res.status(200).json({
+    token: issueToken(account),
+    account: toPublicAccount(account)
+  });
+}
+
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: code, message });
+}
+
+// POST /auth/guest, /auth/upgrade and /auth/login
+function createAuthRouter() {
+  const router = express.Router();
+
+  router.use(express.json({ limit: '1kb' }));
+  router.use(limitRequestsByAddress(AUTH_RATE_LIMIT));
+
+  // Banned addresses can't get new accounts or tokens either
+  router.use((req, res, next) => {
+    const ban = getAddressBan(getRequestAddress(req));
+    if (ban) {
+      sendError(res, 403, 'banned', ban.reason || 'Address is banned');
+      return;
+    }
+    next();
+  });
+
+  // New anonymous account
+  router.post('/guest', (req, res) => {
+    const account = createGuestAccount();
+    log.info('Guest account created', { accountId: account.id });
+    sendToken(res, account);
+  });
+
+  // Give the guest account in the Authorization header a username and password
+  router.post('/upgrade', async (req, res) => {
+    const account = getRequestAccount(req);
+    if (!account) {
+      sendError(res, 401, 'unauthorized', 'Valid guest token required');
+      return;
+    }
+
+    const { username, password } = req.body || {};
+    try {
+      const upgraded = await upgradeAccount(account, username, password);
+      log.info('Account upgraded', { accountId: account.id, username: upgraded.username });
+      sendToken(res, upgraded);
+    } catch (error) {
+      if (!error.code) {
+        log.error('Upgrading account failed', { accountId: account.id, error });
+        sendError(res, 500, 'server_error', 'Could not upgrade account');
+        return;
+      }
+      sendError(res, error.code === 'username_taken' ? 409 : 400, error.code, error.message);
+    }
+  });
+
+  // Token for a named account, e.g. on another device
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    let account;
+    try {
+      account = await authenticateAccount(username, password);
+    } catch (error) {
+      log.error('Login failed', { error });
+      sendError(res, 500, 'server_error', 'Could not log in');
+      return;
+    }
+    if (!account) {
+      sendError(res, 401, 'invalid_credentials', 'Wrong username or password');
+      return;
+    }
+    if (account.banned) {
+      sendError(res, 403, 'banned', account.banReason || 'Account is banned');
+      return;
+    }
+    sendToken(res, account);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter,
+  getRequestAccount,
+  sendError
+};
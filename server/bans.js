@@ -0,0 +1,49 @@
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { normalizeAddress } = require('./clientAddress');
+
+// Where banned client addresses are kept on disk (account bans live on the accounts)
+const BAN_STORE_FILE = process.env.BAN_STORE_FILE || path.join(__dirname, 'data', 'ip-bans.ndjson');
+
+const store = createJsonStore(BAN_STORE_FILE);
+
+function loadBans() {
+  return store.load();
+}
+
+// Ban record of an address, or null if it isn't banned
+function getAddressBan(address) {
+  return store.get(normalizeAddress(address));
+}
+
+function banAddress(address, reason = null) {
+  const ban = { address: normalizeAddress(address), reason, bannedAt: Date.now() };
+  store.set(ban.address, ban);
+  return ban;
+}
+
+// Lifted bans are stored as null, the store keeps the last value per key
+function unbanAddress(address) {
+  const key = normalizeAddress(address);
+  if (!store.get(key)) return false;
+  store.set(key, null);
+  return true;
+}
+
+function getAddressBans() {
+  return store.entries().map(([, ban]) => ban).filter(Boolean);
+}
+
+// Finish writing bans, e.g. before the process exits
+function closeBans() {
+  return store.close();
+}
+
+module.exports = {
+  loadBans,
+  getAddressBan,
+  banAddress,
+  unbanAddress,
+  getAddressBans,
+  closeBans
+};
@@ -0,0 +1,91 @@
+const { REJECTION_CODES } = require('./eventGuard');
+
+// Longest chat message in characters, after trimming
+const MAX_CHAT_LENGTH = 200;
+
+// Messages kept per room and sent to players when they join
+const CHAT_HISTORY_SIZE = parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 50;
+
+// Words replaced by asterisks, comma separated
+const CHAT_BLOCKLIST = (process.env.CHAT_BLOCKLIST || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// Filters run in order on every message: filter(message, { player, room })
+// returns the (possibly changed) message, or null to refuse it
+const filters = [];
+
+function addChatFilter(filter) {
+  filters.push(filter);
+}
+
+// Mask blocked words, case-insensitively and only as whole words
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+if (CHAT_BLOCKLIST.length) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${CHAT_BLOCKLIST.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  addChatFilter(message => ({
+    ...message,
+    text: message.text.replace(pattern, word => '*'.repeat(Array.from(word).length))
+  }));
+}
+
+// Printable text on a single line: control characters and line breaks become
+// spaces, and bidirectional overrides (which can disguise text) are removed
+function cleanText(text) {
+  return text
+    .normalize('NFC')
+    .replace(/[\u202A-\u202E\u2066-\u2069]/g, '')
+    .replace(/[\p{Cc}\u2028\u2029]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+let nextMessageId = 1;
+
+// Check, filter and store a chat message from a player.
+// Returns { message } to broadcast, or { error: { code, message } }
+function createChatMessage(room, player, rawText) {
+  const text = cleanText(rawText);
+  if (!text) {
+    return { error: { code: REJECTION_CODES.INVALID_PAYLOAD, message: 'Message is empty' } };
+  }
+  if (Array.from(text).length > MAX_CHAT_LENGTH) {
+    return { error: { code: REJECTION_CODES.INVALID_PAYLOAD, message: `Messages are at most ${MAX_CHAT_LENGTH} characters` } };
+  }
+
+  let message = {
+    id: nextMessageId++,
+    playerId: player.id,
+    name: player.name,
+    text,
+    time: Date.now()
+  };
+  for (const filter of filters) {
+    message = filter(message, { player, room });
+    if (!message) {
+      return { error: { code: REJECTION_CODES.MESSAGE_BLOCKED, message: 'Message was not sent' } };
+    }
+  }
+
+  addToChatHistory(room, message);
+  return { message };
+}
+
+// Keep a message for players joining later, also those sent on other cluster workers
+function addToChatHistory(room, message) {
+  room.chatHistory.push(message);
+  if (room.chatHistory.length > CHAT_HISTORY_SIZE) {
+    room.chatHistory.shift();
+  }
+}
+
+module.exports = {
+  MAX_CHAT_LENGTH,
+  addChatFilter,
+  createChatMessage,
+  addToChatHistory
+};
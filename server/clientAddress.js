@@ -0,0 +1,70 @@
+// Address of a client, for address bans and per-address rate limits. Behind a
+// reverse proxy (e.g. Render's) every connection comes from the proxy, and
+// the client's address is in the X-Forwarded-For header the proxies append to.
+
+// Reverse proxies in front of the server whose X-Forwarded-For entries are
+// trusted (1 on Render). 0, the default, uses the connection's own address.
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10) || 0;
+
+// Ranges of loopback and private addresses, where proxies live
+const PRIVATE_ADDRESS = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|f[cd][0-9a-f]{2}:)/;
+
+// IPv4 clients of a dual-stack server show up as "::ffff:1.2.3.4", store them as "1.2.3.4"
+function normalizeAddress(address) {
+  return String(address || '').trim().toLowerCase().replace(/^::ffff:(?=\d+\.)/, '');
+}
+
+// Addresses a request passed through, nearest first: the connection's own
+// address, then the X-Forwarded-For entries from the last one added
+function getAddressChain(remoteAddress, forwardedFor) {
+  const forwarded = String(forwardedFor || '').split(',').map(address => address.trim()).filter(Boolean);
+  return [remoteAddress, ...forwarded.reverse()];
+}
+
+// Skip TRUST_PROXY proxies, the same way Express picks req.ip with
+// app.set('trust proxy', TRUST_PROXY)
+function getClientAddress(remoteAddress, forwardedFor) {
+  const chain = getAddressChain(remoteAddress, forwardedFor);
+  return normalizeAddress(chain[Math.min(TRUST_PROXY, chain.length - 1)]);
+}
+
+function getSocketChain(socket) {
+  return getAddressChain(socket.handshake.address, socket.handshake.headers['x-forwarded-for']);
+}
+
+function getSocketAddress(socket) {
+  return getClientAddress(socket.handshake.address, socket.handshake.headers['x-forwarded-for']);
+}
+
+// req.ip needs the app's 'trust proxy' setting, see index.js
+function getRequestAddress(req) {
+  return normalizeAddress(req.ip);
+}
+
+// A private address that forwarded a connection for someone else is a proxy's
+function isProxyInChain(chain, address) {
+  return PRIVATE_ADDRESS.test(address) && chain.slice(0, -1).some(hop => normalizeAddress(hop) === address);
+}
+
+// Whether the address we have for a socket is most likely a proxy's.
+// Banning it would lock out everyone behind the proxy (TRUST_PROXY too low).
+function isProxyAddress(socket) {
+  return isProxyInChain(getSocketChain(socket), getSocketAddress(socket));
+}
+
+// The same for an address given to ban directly: whether the request
+// asking for it, or a connected socket, came through it as a proxy
+function isKnownProxyAddress(address, req, sockets) {
+  const normalized = normalizeAddress(address);
+  const chains = [getAddressChain(req.socket.remoteAddress, req.get('x-forwarded-for')), ...Array.from(sockets, getSocketChain)];
+  return chains.some(chain => isProxyInChain(chain, normalized));
+}
+
+module.exports = {
+  TRUST_PROXY,
+  normalizeAddress,
+  getSocketAddress,
+  getRequestAddress,
+  isProxyAddress,
+  isKnownProxyAddress
+};
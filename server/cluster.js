@@ -0,0 +1,131 @@
+const cluster = require('cluster');
+const http = require('http');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { createJsonStore } = require('./jsonStore');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'cluster' });
+
+// Worker processes to run; 1 (the default) runs a single process without the cluster
+const CLUSTER_WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || 1;
+
+// Position of this worker in the cluster (0 to CLUSTER_WORKERS - 1), null
+// without a cluster. A restarted worker gets the index of the one it replaces.
+const WORKER_INDEX = cluster.isWorker ? parseInt(process.env.WORKER_INDEX, 10) : null;
+
+// A worker that keeps crashing is restarted at most this often (ms)
+const WORKER_RESTART_DELAY_MS = 1000;
+
+// IPC message types of our own, next to those of the sticky sessions and the adapter
+const STORE_WRITE = 'capyverse:storeWrite';
+const STORE_UPDATE = 'capyverse:storeUpdate';
+
+function isClusterWorker() {
+  return WORKER_INDEX !== null;
+}
+
+// The primary owns the files of the JSON stores: workers send it their
+// writes, it appends them and passes them on to the other workers
+function createStoreWriter() {
+  const stores = new Map();
+
+  function getStore(filePath) {
+    if (!stores.has(filePath)) {
+      const store = createJsonStore(filePath);
+      stores.set(filePath, store.load().then(() => store));
+    }
+    return stores.get(filePath);
+  }
+
+  return {
+    write(source, { filePath, key, value }) {
+      getStore(filePath).then(store => store.set(key, value));
+      Object.values(cluster.workers)
+        .filter(worker => worker !== source)
+        .forEach(worker => worker.send({ type: STORE_UPDATE, filePath, key, value }));
+    },
+    close() {
+      return Promise.all(Array.from(stores.values(), loading => loading.then(store => store.close())));
+    }
+  };
+}
+
+// Run the cluster: the primary accepts all connections and hands each to a
+// worker, keeping the requests of a socket.io session on the same worker
+// (sticky sessions). The workers run the game; the adapter passes room
+// broadcasts and messages between them.
+function startPrimary(port) {
+  const httpServer = http.createServer();
+  setupMaster(httpServer, { loadBalancingMethod: 'least-connection' });
+  setupPrimary();
+  // Request data is passed to the workers as buffers
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  const storeWriter = createStoreWriter();
+  let stopping = false;
+
+  function fork(index) {
+    const worker = cluster.fork({ WORKER_INDEX: String(index) });
+    worker.on('message', (message) => {
+      if (message && message.type === STORE_WRITE) storeWriter.write(worker, message);
+    });
+    worker.on('exit', (code, signal) => {
+      if (stopping) return;
+      log.error('Worker exited, restarting it', { worker: index, pid: worker.process.pid, code, signal });
+      setTimeout(() => fork(index), WORKER_RESTART_DELAY_MS);
+    });
+  }
+
+  for (let index = 0; index < CLUSTER_WORKERS; index++) {
+    fork(index);
+  }
+
+  httpServer.listen(port, () => {
+    log.info('Cluster running', { port: Number(port), workers: CLUSTER_WORKERS });
+  });
+
+  // Each worker shuts down on its own (see index.js), then the stores are closed
+  function shutdown(signal) {
+    if (stopping) return;
+    stopping = true;
+    log.info('Shutting down workers', { signal });
+    httpServer.close();
+
+    const workers = Object.values(cluster.workers);
+    Promise.all(workers.map(worker => new Promise((resolve) => {
+      worker.once('exit', resolve);
+      worker.kill('SIGTERM');
+    })))
+      .then(() => storeWriter.close())
+      .then(() => {
+        log.info('Cluster stopped');
+        process.exit(0);
+      });
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+// In a worker: send store writes to the primary, and apply those of the
+// other workers. onUpdate(filePath, key, value) updates the local copy.
+function connectStores(onUpdate) {
+  process.on('message', (message) => {
+    if (message && message.type === STORE_UPDATE) {
+      onUpdate(message.filePath, message.key, message.value);
+    }
+  });
+
+  return (filePath, key, value) => new Promise((resolve) => {
+    process.send({ type: STORE_WRITE, filePath, key, value }, () => resolve());
+  });
+}
+
+module.exports = {
+  CLUSTER_WORKERS,
+  WORKER_INDEX,
+  isClusterWorker,
+  startPrimary,
+  connectStores
+};
@@ -0,0 +1,154 @@
+const { toPublicPlayer } = require('./playerManager');
+const { getRoom, getRooms, openRoom, releaseRoom, updateRoomSettings, getRoomStatus } = require('./roomManager');
+const { addToChatHistory } = require('./chat');
+const { TICK_RATE } = require('./gameLoop');
+const { WORKER_INDEX, isClusterWorker } = require('./cluster');
+const { collectMetrics } = require('./metrics');
+
+// Workers that sent no players for this long are considered gone (ms)
+const REMOTE_PLAYER_TIMEOUT_MS = 3000;
+
+// What other workers need to show a player: what clients see, and the
+// account for finding a player that reconnects
+function toRemotePlayer(player) {
+  return { ...toPublicPlayer(player), accountId: player.accountId };
+}
+
+// CPU time this process has used so far, user and system (s)
+function getCpuSeconds() {
+  const { user, system } = process.cpuUsage();
+  return (user + system) / 1e6;
+}
+
+// Counts of this process for /status
+function getWorkerStatus(io) {
+  const rooms = getRoomStatus();
+  return {
+    worker: WORKER_INDEX,
+    pid: process.pid,
+    playerCount: rooms.reduce((total, room) => total + room.playerCount, 0),
+    connectionCount: io.engine.clientsCount,
+    rooms,
+    cpuSeconds: getCpuSeconds(),
+    uptime: process.uptime()
+  };
+}
+
+// Keep the rooms of every worker in step, over the cluster adapter: each
+// worker sends the players it simulates once per tick, and the others keep
+// copies of them so snapshots, interest and player lookups include them
+function startClusterSync(io) {
+  const lastUpdates = new Map();
+
+  // Replace the copies of a worker's players, opening and closing rooms as needed
+  function syncWorker(workerIndex, remoteRooms) {
+    const synced = new Set();
+    remoteRooms.forEach(({ name, instance, players }) => {
+      const room = openRoom(name, instance);
+      room.players.syncRemotePlayers(workerIndex, players);
+      synced.add(room);
+    });
+    getRooms().filter(room => !synced.has(room)).forEach(room => {
+      room.players.syncRemotePlayers(workerIndex, []);
+      releaseRoom(room);
+    });
+  }
+
+  io.on('remotePlayers', (workerIndex, remoteRooms) => {
+    lastUpdates.set(workerIndex, Date.now());
+    syncWorker(workerIndex, remoteRooms);
+  });
+
+  io.on('chatMessage', (roomId, message) => {
+    const room = getRoom(roomId);
+    if (room) addToChatHistory(room, message);
+  });
+
+  io.on('roomSettings', (roomId, settings) => {
+    const room = getRoom(roomId);
+    if (room) updateRoomSettings(room, settings);
+  });
+
+  io.on('workerStatus', (callback) => callback(getWorkerStatus(io)));
+  io.on('workerMetrics', (callback) => callback(collectMetrics()));
+
+  setInterval(() => {
+    const rooms = getRooms()
+      .map(room => ({ name: room.name, instance: room.instance, players: room.players.getLocalPlayers().map(toRemotePlayer) }))
+      .filter(room => room.players.length);
+    io.serverSideEmit('remotePlayers', WORKER_INDEX, rooms);
+
+    // A crashed worker's players disappear after a while
+    const now = Date.now();
+    lastUpdates.forEach((time, workerIndex) => {
+      if (now - time < REMOTE_PLAYER_TIMEOUT_MS) return;
+      lastUpdates.delete(workerIndex);
+      syncWorker(workerIndex, []);
+    });
+  }, 1000 / TICK_RATE);
+}
+
+// Ask every other worker and collect their answers. The adapter gives up
+// after a few seconds, and then only answers received so far are returned.
+function requestWorkers(io, event, ...args) {
+  return new Promise((resolve) => {
+    io.serverSideEmit(event, ...args, (error, responses) => resolve(responses || []));
+  });
+}
+
+// Chat history on the other workers
+function shareChatMessage(io, room, message) {
+  if (isClusterWorker()) io.serverSideEmit('chatMessage', room.id, message);
+}
+
+// Room settings changed by an admin apply on every worker
+function shareRoomSettings(io, room) {
+  if (isClusterWorker()) io.serverSideEmit('roomSettings', room.id, { capacity: room.capacity, locked: room.locked });
+}
+
+// Player and connection counts of all workers together, per room and per worker
+async function getClusterStatus(io) {
+  const statuses = [getWorkerStatus(io)];
+  if (isClusterWorker()) {
+    statuses.push(...await requestWorkers(io, 'workerStatus'));
+  }
+
+  const rooms = new Map();
+  statuses.flatMap(status => status.rooms).forEach(room => {
+    const total = rooms.get(room.id);
+    rooms.set(room.id, total ? { ...total, playerCount: total.playerCount + room.playerCount } : room);
+  });
+
+  const status = {
+    playerCount: statuses.reduce((total, worker) => total + worker.playerCount, 0),
+    connectionCount: statuses.reduce((total, worker) => total + worker.connectionCount, 0),
+    // Over all workers, so it grows faster than wall time on several cores
+    cpuSeconds: statuses.reduce((total, worker) => total + worker.cpuSeconds, 0),
+    rooms: Array.from(rooms.values())
+  };
+  if (isClusterWorker()) {
+    status.workers = statuses
+      .map(({ rooms: workerRooms, ...worker }) => worker)
+      .sort((a, b) => a.worker - b.worker);
+  }
+  return status;
+}
+
+// Metrics of this process and, in a cluster, of every other worker, for
+// GET /metrics; each worker's series carry its worker label
+async function getClusterMetrics(io) {
+  const collections = [collectMetrics()];
+  if (isClusterWorker()) {
+    collections.push(...await requestWorkers(io, 'workerMetrics'));
+  }
+  return collections;
+}
+
+module.exports = {
+  startClusterSync,
+  requestWorkers,
+  shareChatMessage,
+  shareRoomSettings,
+  getClusterStatus,
+  getClusterMetrics
+};
@@ -0,0 +1,104 @@
+const { EVENT_SCHEMAS, validatePayload } = require('./eventSchemas');
+const { createRateLimiter } = require('./rateLimiter');
+const { recordReceived, recordRejection } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'eventGuard' });
+
+// Codes sent to the client in 'rejected' events
+const REJECTION_CODES = {
+  RATE_LIMITED: 'rate_limited',
+  INVALID_PAYLOAD: 'invalid_payload',
+  UNKNOWN_EVENT: 'unknown_event',
+  NOT_JOINED: 'not_joined',
+  UNAUTHORIZED: 'unauthorized',
+  INVALID_NAME: 'invalid_name',
+  NAME_BLOCKED: 'name_blocked',
+  NAME_TAKEN: 'name_taken',
+  MESSAGE_BLOCKED: 'message_blocked',
+  SERVER_RESTARTING: 'server_restarting',
+  NOT_AVAILABLE: 'not_available',
+  SERVER_ERROR: 'server_error'
+};
+
+// Repeated rejections of the same kind are only reported (to the client and
+// the log) this often, so a flood can't turn into a flood of replies and log lines
+const REJECTION_REPORT_INTERVAL_MS = 1000;
+
+// Tell the client an event was rejected: 'rejected' { event, code, message }.
+// Pass throttle: false for answers the player is waiting for (e.g. a name that
+// is taken), when the event's own rate limit already keeps them rare.
+function reject(socket, event, code, message, { throttle = true } = {}) {
+  recordRejection(event, code);
+
+  const now = Date.now();
+  const key = `${event}:${code}`;
+  const report = socket.data.rejections.get(key) || { lastReport: 0, suppressed: 0 };
+  socket.data.rejections.set(key, report);
+
+  if (throttle && now - report.lastReport < REJECTION_REPORT_INTERVAL_MS) {
+    report.suppressed++;
+    return;
+  }
+
+  log.warn('Rejected message', { event, code, message, socketId: socket.id, suppressed: report.suppressed });
+  socket.emit('rejected', { event, code, message });
+  report.lastReport = now;
+  report.suppressed = 0;
+}
+
+// Wrap a socket so every handler is rate limited and validated against its schema.
+// Returns on(event, handler) to register handlers with instead of socket.on.
+function guardSocket(socket) {
+  const limits = {};
+  Object.entries(EVENT_SCHEMAS).forEach(([event, schema]) => {
+    limits[event] = schema.rateLimit;
+  });
+  const limiter = createRateLimiter(limits);
+  socket.data.rejections = new Map();
+
+  // Events nobody registered a handler for
+  socket.onAny((event, data) => {
+    if (!EVENT_SCHEMAS[event]) {
+      recordReceived(event, data);
+      reject(socket, event, REJECTION_CODES.UNKNOWN_EVENT, 'Unknown event');
+    }
+  });
+
+  return function on(event, handler) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) {
+      throw new Error(`No schema for socket event '${event}'`);
+    }
+
+    socket.on(event, (data) => {
+      recordReceived(event, data);
+
+      if (!limiter.allow(event)) {
+        reject(socket, event, REJECTION_CODES.RATE_LIMITED, 'Too many messages');
+        return;
+      }
+
+      const error = validatePayload(schema, data);
+      if (error) {
+        reject(socket, event, REJECTION_CODES.INVALID_PAYLOAD, error);
+        return;
+      }
+
+      // Handlers may be async; a failure is logged and answered instead of
+      // becoming an unhandled rejection, which would end the process
+      Promise.resolve()
+        .then(() => handler(data))
+        .catch((error) => {
+          log.error('Event handler failed', { event, socketId: socket.id, error });
+          reject(socket, event, REJECTION_CODES.SERVER_ERROR, 'Something went wrong on the server');
+        });
+    });
+  };
+}
+
+module.exports = {
+  REJECTION_CODES,
+  guardSocket,
+  reject
+};
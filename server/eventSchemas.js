@@ -0,0 +1,129 @@
+// Declarative description of every event a client may send. Handlers are only
+// registered through eventGuard.js, which refuses events without a schema here.
+//
+// Each schema has:
+// - payload: 'object' (JSON) or 'binary'
+// - maxBytes: largest accepted payload
+// - fields: for objects, the allowed keys and their rules; unknown keys are rejected
+// - rateLimit: token bucket per socket, burst messages refilled at perSecond
+const EVENT_SCHEMAS = {
+  join: {
+    payload: 'object',
+    maxBytes: 512,
+    fields: {
+      // Checked in detail by nameValidator.js, this only bounds the size
+      name: { type: 'string', maxLength: 64, optional: true },
+      // Instance ids add "-<number>" to the name, so names can't contain "-"
+      room: { type: 'string', maxLength: 24, pattern: /^[A-Za-z0-9_]+$/, optional: true },
+      // Token from an earlier gameState, to resume that player after a reconnect
+      sessionToken: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/, optional: true }
+    },
+    rateLimit: { burst: 5, perSecond: 0.2 }
+  },
+
+  // Batched movement commands (shared/protocol.js): 7 byte header, 9 bytes per command, at most 255
+  input: {
+    payload: 'binary',
+    maxBytes: 7 + 255 * 9,
+    rateLimit: { burst: 40, perSecond: 30 }
+  },
+
+  // Chat message to the player's room; chat.js checks the length after cleaning it up
+  chat: {
+    payload: 'object',
+    maxBytes: 1024,
+    fields: {
+      text: { type: 'string', maxLength: 500 }
+    },
+    rateLimit: { burst: 5, perSecond: 0.5 }
+  },
+
+  // Emote to play until the player moves; the name is checked against shared/protocol.js EMOTES
+  emote: {
+    payload: 'object',
+    maxBytes: 128,
+    fields: {
+      emote: { type: 'string', maxLength: 16 }
+    },
+    rateLimit: { burst: 5, perSecond: 1 }
+  },
+
+  // Development only: simulated latency, jitter, loss and bandwidth cap of
+  // what the server sends this client (see networkSimulator.js)
+  netConditions: {
+    payload: 'object',
+    maxBytes: 256,
+    fields: {
+      latency: { type: 'number', min: 0, max: 5000 },
+      jitter: { type: 'number', min: 0, max: 5000 },
+      loss: { type: 'number', min: 0, max: 1 },
+      bandwidth: { type: 'number', min: 0, max: 100000 }
+    },
+    rateLimit: { burst: 10, perSecond: 2 }
+  }
+};
+
+// Byte length of a payload as it arrived, or of its JSON form
+function getPayloadSize(data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+  try {
+    return Buffer.byteLength(JSON.stringify(data) || '');
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+function checkField(key, value, rule) {
+  if (value === undefined || value === null) {
+    return rule.optional ? null : `${key} is required`;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${key} must be a string`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${key} must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return `${key} contains invalid characters`;
+      return null;
+    case 'number':
+      if (!Number.isFinite(value)) return `${key} must be a number`;
+      if (rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${key} must be at most ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be a boolean`;
+    default:
+      return `${key} has an unknown type`;
+  }
+}
+
+// Check a payload against an event's schema, returns the reason it is invalid or null
+function validatePayload(schema, data) {
+  if (getPayloadSize(data) > schema.maxBytes) {
+    return `payload larger than ${schema.maxBytes} bytes`;
+  }
+
+  if (schema.payload === 'binary') {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? null : 'expected binary payload';
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'expected an object';
+  }
+  const unknown = Object.keys(data).find(key => !schema.fields[key]);
+  if (unknown) {
+    return `unexpected field ${unknown}`;
+  }
+  for (const [key, rule] of Object.entries(schema.fields)) {
+    const error = checkField(key, data[key], rule);
+    if (error) return error;
+  }
+  return null;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  getPayloadSize,
+  validatePayload
+};
@@ -0,0 +1,205 @@
+const { shared } = require('./shared');
+const { getRooms } = require('./roomManager');
+const { sendSnapshot } = require('./snapshotSender');
+const { validateCommand, validateTransition } = require('./movementValidator');
+const { reportViolation } = require('./strikes');
+const { updateInterest } = require('./interest');
+const { recordTick } = require('./metrics');
+const { recordRoomStates } = require('./sessionRecorder');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'gameLoop' });
+
+// Simulation and snapshot rate (ticks per second)
+const TICK_RATE = parseInt(process.env.TICK_RATE, 10) || 20;
+
+// Most simulation time (seconds) a player can bank, so lagging clients
+// can catch up a little but can't fast-forward by sending extra inputs
+const MAX_INPUT_BUDGET = 0.25;
+
+// Movement time (seconds) waiting to be simulated per player, anything beyond
+// is dropped. Clients send one command per frame, so this is counted in time
+// rather than commands: inputs held up by network jitter fit however high
+// the frame rate, while a client sending faster than real time fills it up.
+const MAX_QUEUED_SECONDS = MAX_INPUT_BUDGET * 4;
+
+// Each command counts as at least this long towards MAX_QUEUED_SECONDS, so
+// tiny steps can't grow the queue without limit (1 ms is a 1000 Hz display)
+const MIN_QUEUED_STEP = 0.001;
+
+function getQueuedSeconds(step) {
+  return Math.max(step, MIN_QUEUED_STEP);
+}
+
+// Queue movement commands received from a client, reporting invalid ones
+function queueInputs(socket, player, commands) {
+  if (!Array.isArray(commands)) return 0;
+
+  let queued = 0;
+  let flooded = false;
+  let queuedSeconds = player.inputQueue.reduce((total, input) => total + getQueuedSeconds(input.dt), 0);
+  for (const command of commands) {
+    // Sequence numbers only go up; replays and stale commands are ignored
+    if (!command || !Number.isInteger(command.seq) || command.seq <= player.lastQueuedInput) continue;
+
+    const violation = validateCommand(command);
+    if (violation) {
+      if (reportViolation(socket, player, violation, { command })) return queued;
+      continue;
+    }
+
+    const dt = Math.min(command.dt, shared.movement.MOVEMENT.maxStepTime);
+    if (queuedSeconds + getQueuedSeconds(dt) > MAX_QUEUED_SECONDS) {
+      flooded = true;
+      break;
+    }
+    queuedSeconds += getQueuedSeconds(dt);
+    player.lastQueuedInput = command.seq;
+
+    player.inputQueue.push({
+      seq: command.seq,
+      moveX: command.moveX,
+      moveZ: command.moveZ,
+      jump: command.jump === true,
+      dt
+    });
+    queued++;
+  }
+
+  // More inputs than real time allows for means a sped-up client
+  if (flooded) {
+    reportViolation(socket, player, 'input flood', { queued: player.inputQueue.length, queuedSeconds });
+  }
+  return queued;
+}
+
+// Animation from the player's movement, or its emote while it stands still;
+// moving or jumping ends the emote
+function updateAnimationState(player) {
+  const { getHorizontalSpeed, getAnimationState, applyEmote } = shared.movement;
+  const { movement } = player;
+  const state = applyEmote(player.emote, getAnimationState(movement.grounded, getHorizontalSpeed(movement)));
+  if (state !== player.emote) {
+    player.emote = null;
+  }
+  return state;
+}
+
+// Advance one player by the inputs that fit into the real time that passed
+function simulatePlayer(io, room, player, elapsedSeconds) {
+  const { stepMovement } = shared.movement;
+
+  player.inputBudget = Math.min(player.inputBudget + elapsedSeconds, MAX_INPUT_BUDGET);
+
+  let simulatedSeconds = 0;
+  while (player.inputQueue.length && player.inputQueue[0].dt <= player.inputBudget) {
+    const command = player.inputQueue.shift();
+    player.inputBudget -= command.dt;
+    stepMovement(player.movement, command);
+    player.lastProcessedInput = command.seq;
+    simulatedSeconds += command.dt;
+  }
+
+  if (simulatedSeconds === 0) return;
+
+  // Roll back to the last valid state if the result breaks the movement limits;
+  // the client's prediction snaps back when it reconciles with the next snapshot
+  const violation = validateTransition(player.lastValidMovement, player.movement, simulatedSeconds);
+  if (violation) {
+    const details = { from: player.lastValidMovement, to: { ...player.movement }, seconds: simulatedSeconds };
+    player.movement = { ...player.lastValidMovement, vx: 0, vy: 0, vz: 0 };
+    player.inputQueue = [];
+    reportViolation(player.socketId && io.sockets.sockets.get(player.socketId), player, violation, details);
+    return;
+  }
+  player.lastValidMovement = { ...player.movement };
+
+  const { movement } = player;
+  room.players.updatePlayerPosition(player.id, {
+    position: { x: movement.x, y: movement.y, z: movement.z },
+    rotation: { y: movement.yaw },
+    animationState: updateAnimationState(player)
+  });
+}
+
+// Move a player to a new position, e.g. from the admin API. The owning
+// client's prediction snaps there when it reconciles with the next snapshot.
+function teleportPlayer(room, player, position) {
+  const movement = shared.movement.createMovementState(position, player.movement.yaw);
+  player.movement = movement;
+  player.lastValidMovement = { ...movement };
+  player.inputQueue = [];
+  room.players.updatePlayerPosition(player.id, {
+    position: { x: movement.x, y: movement.y, z: movement.z },
+    animationState: updateAnimationState(player)
+  });
+}
+
+// Acknowledgement for the owning client: its last simulated command and the
+// full movement state after it, so the client can reconcile its prediction
+function toAck(player) {
+  return {
+    seq: player.lastProcessedInput,
+    state: player.movement
+  };
+}
+
+// Simulate one room and send each of its players a snapshot of the players near them
+function tickRoom(io, room, tick, now, elapsedSeconds) {
+  // Players of other cluster workers are simulated there
+  room.players.getLocalPlayers().forEach(player => simulatePlayer(io, room, player, elapsedSeconds));
+  const players = room.players.getAllPlayers();
+
+  if (players.length === 0) return;
+
+  // Quantize once per tick, then filter and delta encode per client
+  const entities = new Map(players.map(player => [player.id, shared.protocol.quantizeEntity(player)]));
+  players.forEach(player => {
+    // Players waiting for their client to reconnect have no socket
+    const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (!socket || !socket.data.snapshots) return;
+
+    const visible = updateInterest(socket, room, player);
+    sendSnapshot(socket, socket.data.snapshots, {
+      tick,
+      time: now,
+      entities: visible.map(other => entities.get(other.id)),
+      ack: toAck(player)
+    });
+  });
+}
+
+// Run the fixed-rate simulation and send one snapshot per tick, room by room
+function startGameLoop(io) {
+  let tick = 0;
+  let lastTime = Date.now();
+
+  const interval = setInterval(() => {
+    const now = Date.now();
+    const elapsedSeconds = (now - lastTime) / 1000;
+    lastTime = now;
+    tick++;
+
+    const start = process.hrtime.bigint();
+    const rooms = getRooms();
+    rooms.forEach(room => tickRoom(io, room, tick, now, elapsedSeconds));
+    recordTick(Number(process.hrtime.bigint() - start) / 1e9);
+    recordRoomStates(rooms, tick, now);
+  }, 1000 / TICK_RATE);
+
+  log.info('Game loop started', { tickRate: TICK_RATE });
+
+  return {
+    getTick: () => tick,
+    stop: () => clearInterval(interval)
+  };
+}
+
+module.exports = {
+  TICK_RATE,
+  queueInputs,
+  simulatePlayer,
+  updateAnimationState,
+  teleportPlayer,
+  startGameLoop
+};
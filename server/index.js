@@ -1,18 +1,47 @@
+const cluster = require('cluster');
 const express = require('express');
 const http = require('http');
 const cors = require('cors');
-const { initializeSocketServer } = require('./socket');
+const { setupWorker } = require('@socket.io/sticky');
+const { initializeSocketServer, shutdownSocketServer } = require('./socket');
+const { loadSharedModules } = require('./shared');
+const { getRoomStatus } = require('./roomManager');
+const { getClusterStatus, getClusterMetrics } = require('./clusterSync');
+const { CLUSTER_WORKERS, WORKER_INDEX, isClusterWorker, startPrimary, connectStores } = require('./cluster');
+const { forwardStoreWrites, applyStoreUpdate } = require('./jsonStore');
+const { loadProfiles, closeProfiles } = require('./profiles');
+const { loadAuthSecret } = require('./auth');
+const { loadAccounts, closeAccounts } = require('./accounts');
+const { createAuthRouter } = require('./authRoutes');
+const { createAdminRouter } = require('./adminRoutes');
+const { loadBans, closeBans } = require('./bans');
+const { createMetricsHandler } = require('./metrics');
+const { loadWorldSnapshot } = require('./worldSnapshot');
+const { TRUST_PROXY } = require('./clientAddress');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'index' });
+
+// Longest a shutdown may take before the process exits anyway (ms)
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// Shown to players when the server stops, e.g. for a deploy
+const RESTART_MESSAGE = 'The server is restarting, you will be reconnected in a moment';
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy req.ip is the client's address from X-Forwarded-For
+// (see clientAddress.js), rather than the proxy's
+app.set('trust proxy', TRUST_PROXY);
+
 // Configure CORS to be more permissive during development
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow all origins during development
     callback(null, true);
   },
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "PATCH", "DELETE"],
   credentials: true
 };
 app.use(cors(corsOptions));
@@ -20,7 +49,7 @@ app.use(cors(corsOptions));
 // Additional middleware to ensure CORS headers are set
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   next();
 });
@@ -28,26 +57,109 @@ app.use((req, res, next) => {
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize Socket.io with the server
-const io = initializeSocketServer(server);
+// Socket.io server, created once the shared game modules are loaded
+let io = null;
+
+// Guest accounts and login, clients need a token before connecting the socket
+app.use('/auth', createAuthRouter());
+
+// Player management for operators, only with ADMIN_KEY set
+app.use('/admin', createAdminRouter(() => io));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).send('Server is running');
 });
 
-// Status endpoint with player count
+// Status endpoint with player counts, in total and per room; in a cluster
+// added up over all workers, with each worker's counts under "workers"
 app.get('/status', (req, res) => {
-  const playerCount = io.engine.clientsCount;
-  res.status(200).json({
-    status: 'ok',
-    playerCount,
-    uptime: process.uptime()
+  if (!io) {
+    res.status(200).json({ status: 'starting', playerCount: 0, connectionCount: 0, rooms: [], uptime: process.uptime() });
+    return;
+  }
+  getClusterStatus(io).then((status) => {
+    res.status(200).json({ status: 'ok', ...status, uptime: process.uptime() });
   });
 });
 
-// Start the server
+// Prometheus metrics: connections, players per room, message counts and sizes,
+// rejections, tick durations and event loop lag; in a cluster those of all
+// workers, with a worker label
+app.get('/metrics', createMetricsHandler(() => io, getClusterMetrics));
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+
+// Run the game in this process: on its own, or as one worker of a cluster
+function startServer() {
+  // Cluster workers leave writing the store files to the primary
+  if (isClusterWorker()) {
+    forwardStoreWrites(connectStores(applyStoreUpdate));
+  }
+
+  Promise.all([loadSharedModules(), loadProfiles(), loadAccounts(), loadBans(), loadAuthSecret()])
+    // The world as it was before the last restart, read after the profiles it refers to
+    .then(() => loadWorldSnapshot())
+    .then((snapshot) => {
+      // Initialize Socket.io with the server
+      io = initializeSocketServer(server, snapshot);
+
+      // Workers get their connections from the primary, which listens on the port
+      if (isClusterWorker()) {
+        setupWorker(io);
+        log.info('Worker running', { worker: WORKER_INDEX });
+        return;
+      }
+      server.listen(PORT, () => {
+        log.info('Server running', { port: Number(PORT) });
+      });
+    })
+    .catch((error) => {
+      log.error('Failed to start server', { error });
+      process.exit(1);
+    });
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+// Hosts stop the server with SIGTERM on every deploy (Ctrl+C sends SIGINT).
+// Players are told, the world is saved, and everything is written before exiting.
+let stopping = false;
+function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  log.info('Shutting down', { signal, players: getRoomStatus().reduce((total, room) => total + room.playerCount, 0) });
+
+  setTimeout(() => {
+    log.error('Shutdown took too long, exiting', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  Promise.resolve(io && shutdownSocketServer(io, RESTART_MESSAGE))
+    .then(() => Promise.all([closeProfiles(), closeAccounts(), closeBans()]))
+    // io.close() closes the HTTP server too
+    .then(() => new Promise(resolve => (io || server).close(() => resolve())))
+    .then(() => {
+      log.info('Shutdown complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log.error('Shutdown failed', { error });
+      process.exit(1);
+    });
+}
+
+// Start the server. With CLUSTER_WORKERS above 1 this process becomes the
+// cluster primary and starts the workers, which run startServer().
+if (cluster.isPrimary && CLUSTER_WORKERS > 1) {
+  // The auth secret file is created once, before the workers read it
+  loadAuthSecret()
+    .then(() => startPrimary(PORT))
+    .catch((error) => {
+      log.error('Failed to start cluster', { error });
+      process.exit(1);
+    });
+} else {
+  startServer();
+}
@@ -0,0 +1,55 @@
+const { toPublicPlayer } = require('./playerManager');
+
+// Players closer than this (world units, on the ground plane) are sent to a client
+const INTEREST_RADIUS = parseFloat(process.env.INTEREST_RADIUS) || 40;
+
+// Players already in view are only dropped a bit further out than they are
+// picked up, so someone walking along the edge doesn't keep popping in and out
+const LEAVE_RADIUS = INTEREST_RADIUS * 1.2;
+
+function distance(a, b) {
+  return Math.hypot(a.position.x - b.position.x, a.position.z - b.position.z);
+}
+
+// Other players in the room a player should currently see
+function findVisiblePlayers(room, player, interest) {
+  return room.players.getPlayersNear(player.position, LEAVE_RADIUS)
+    .filter(other => other.id !== player.id)
+    .filter(other => interest.has(other.id) || distance(player, other) <= INTEREST_RADIUS);
+}
+
+// Start a client's area of interest from scratch, e.g. after joining a room.
+// Returns the players in view, the client learns about them from gameState.
+function resetInterest(socket, room, player) {
+  const visible = findVisiblePlayers(room, player, new Set());
+  socket.data.interest = new Set(visible.map(other => other.id));
+  return visible;
+}
+
+// Update a client's area of interest, sending 'interestEnter' with the players
+// that came into range and 'interestLeave' with the ids of those that left.
+// Returns the players in view, including the client's own player.
+function updateInterest(socket, room, player) {
+  const interest = socket.data.interest;
+  const visible = findVisiblePlayers(room, player, interest);
+  const visibleIds = new Set(visible.map(other => other.id));
+
+  const entered = visible.filter(other => !interest.has(other.id));
+  const left = Array.from(interest).filter(id => !visibleIds.has(id));
+
+  if (entered.length) {
+    socket.emit('interestEnter', { players: entered.map(toPublicPlayer) });
+  }
+  if (left.length) {
+    socket.emit('interestLeave', { ids: left });
+  }
+  socket.data.interest = visibleIds;
+
+  return [player, ...visible];
+}
+
+module.exports = {
+  INTEREST_RADIUS,
+  resetInterest,
+  updateInterest
+};
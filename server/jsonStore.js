@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'jsonStore' });
+
+// Rewrite the file once it holds this many times more lines than keys
+const COMPACT_RATIO = 4;
+
+// Stores by file path, for updates made by other cluster workers
+const stores = new Map();
+
+// In a cluster worker: sends writes to the primary, which owns the files (cluster.js)
+let forwardWrite = null;
+
+// Append-only JSON key-value store (player profiles, accounts). Every save
+// appends one line { key, value, savedAt } to the file; on load the file is
+// replayed so the last line for a key wins, and it is compacted when old
+// lines pile up.
+//
+// Other stores (e.g. SQLite) only need the same interface:
+//   load()          -> Promise, read existing records
+//   get(key)        -> value or null
+//   set(key, value) -> Promise, persist a value
+//   entries()       -> Array of [key, value]
+//   close()         -> Promise, finish pending writes
+//   onChange(fn)    -> fn(key, value) runs for values set by other cluster workers
+function createJsonStore(filePath) {
+  const records = new Map();
+  const changeListeners = [];
+  let lineCount = 0;
+
+  // Writes are chained so lines never interleave and compaction doesn't race appends
+  let writes = Promise.resolve();
+  const enqueue = (task) => {
+    writes = writes.then(task).catch((error) => {
+      log.error('Write failed', { file: filePath, error });
+    });
+    return writes;
+  };
+
+  async function load() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let contents = '';
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    contents.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        records.set(record.key, record.value);
+        lineCount++;
+      } catch (error) {
+        // A crash can leave a partly written last line; skip it
+        log.warn('Skipping unreadable record', { file: filePath, line: index + 1 });
+      }
+    });
+
+    log.info('Loaded records', { file: filePath, count: records.size });
+  }
+
+  function get(key) {
+    return records.get(key) || null;
+  }
+
+  // Replace the file with one line per key
+  async function compact() {
+    const lines = Array.from(records, ([key, value]) => JSON.stringify({ key, value }) + '\n');
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, lines.join(''));
+    await fs.promises.rename(tempPath, filePath);
+    lineCount = records.size;
+  }
+
+  function set(key, value) {
+    records.set(key, value);
+    if (forwardWrite) {
+      return enqueue(() => forwardWrite(filePath, key, value));
+    }
+
+    const line = JSON.stringify({ key, value, savedAt: Date.now() }) + '\n';
+
+    return enqueue(async () => {
+      await fs.promises.appendFile(filePath, line);
+      lineCount++;
+      if (lineCount > records.size * COMPACT_RATIO) {
+        await compact();
+      }
+    });
+  }
+
+  function entries() {
+    return Array.from(records);
+  }
+
+  function close() {
+    return enqueue(() => {});
+  }
+
+  function onChange(listener) {
+    changeListeners.push(listener);
+  }
+
+  // A value set by another cluster worker, already written by the primary
+  function applyUpdate(key, value) {
+    records.set(key, value);
+    changeListeners.forEach(listener => listener(key, value));
+  }
+
+  const store = {
+    load,
+    get,
+    set,
+    entries,
+    close,
+    onChange
+  };
+  stores.set(filePath, { store, applyUpdate });
+  return store;
+}
+
+// Let the primary process write all stores from now on, see cluster.js
+function forwardStoreWrites(send) {
+  forwardWrite = send;
+}
+
+function applyStoreUpdate(filePath, key, value) {
+  const entry = stores.get(filePath);
+  if (entry) entry.applyUpdate(key, value);
+}
+
+module.exports = {
+  createJsonStore,
+  forwardStoreWrites,
+  applyStoreUpdate
+};
@@ -0,0 +1,88 @@
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","module":"socket","msg":"Player joined","playerId":"abc"}
+//
+// LOG_LEVEL picks the lowest level written (trace, debug, info, warn, error or
+// silent; default info). LOG_FORMAT=pretty writes readable lines for local development.
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+// Errors don't serialize to JSON on their own
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function formatLine(entry) {
+  if (!PRETTY) {
+    try {
+      return JSON.stringify(entry, (key, value) => serializeValue(value));
+    } catch (error) {
+      // Circular or otherwise unserializable fields; keep the message at least
+      return JSON.stringify({ time: entry.time, level: entry.level, module: entry.module, msg: entry.msg });
+    }
+  }
+
+  const { time, level, module: moduleName, msg, ...fields } = entry;
+  const details = Object.keys(fields).length ? ` ${JSON.stringify(fields, (key, value) => serializeValue(value))}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${moduleName || 'server'}] ${msg}${details}`;
+}
+
+function write(level, bindings, msg, fields) {
+  const entry = { time: new Date().toISOString(), level, ...bindings, msg, ...fields };
+  const line = formatLine(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+// Logger with fixed fields (e.g. { module: 'socket' }) added to every line.
+// sampleRate below 1 keeps only that share of the lines, for hot paths.
+function createLogger(bindings = {}, sampleRate = 1) {
+  const logger = {
+    // Logger for part of the server, with more fixed fields
+    child(childBindings) {
+      return createLogger({ ...bindings, ...childBindings }, sampleRate);
+    },
+
+    // Logger that writes only about one in every 1 / rate lines; the lines carry
+    // a "sampleRate" field so counts can be scaled back up
+    sample(rate) {
+      return createLogger({ ...bindings, sampleRate: rate }, rate);
+    },
+
+    // Whether a level is written at all, to skip building expensive fields
+    isEnabled(level) {
+      return LEVELS[level] >= LEVELS[LOG_LEVEL];
+    }
+  };
+
+  Object.keys(LEVELS).filter(level => level !== 'silent').forEach(level => {
+    logger[level] = (msg, fields = {}) => {
+      if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+      if (sampleRate < 1 && Math.random() >= sampleRate) return;
+      write(level, bindings, msg, fields);
+    };
+  });
+
+  return logger;
+}
+
+const rootLogger = createLogger();
+
+module.exports = {
+  logger: rootLogger,
+  createLogger
+};
@@ -0,0 +1,215 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { EVENT_SCHEMAS, getPayloadSize } = require('./eventSchemas');
+const { getRooms } = require('./roomManager');
+const { WORKER_INDEX, isClusterWorker } = require('./cluster');
+
+// Optional secret for GET /metrics, sent as "Authorization: Bearer <key>"
+const METRICS_KEY = process.env.METRICS_KEY || '';
+
+// Histogram buckets for the game loop tick, in seconds (a tick is due every 50 ms)
+const TICK_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1];
+
+// Event loop delay quantiles reported on each scrape
+const LAG_QUANTILES = [0.5, 0.9, 0.99];
+
+// In a cluster every series says which worker it came from, as each scrape
+// is answered by one worker with the metrics of all of them
+const WORKER_LABELS = isClusterWorker() ? { worker: WORKER_INDEX } : {};
+
+const metrics = [];
+
+// Label values are quoted, with backslashes, quotes and newlines escaped
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Sample line with this process's worker label
+function formatSample(name, labels, value) {
+  return `${name}${formatLabels({ ...WORKER_LABELS, ...labels })} ${value}`;
+}
+
+// Counter with one value per label combination: inc(labels, amount)
+function createCounter(name, help) {
+  const values = new Map();
+  const counter = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      const value = values.get(key);
+      values.set(key, { labels, value: (value ? value.value : 0) + amount });
+    },
+    collect() {
+      return Array.from(values.values(), ({ labels, value }) => formatSample(name, labels, value));
+    }
+  };
+  metrics.push(counter);
+  return counter;
+}
+
+// Gauge read when scraped: collect() returns a number or an array of { labels, value }
+function createGauge(name, help, collect) {
+  const gauge = {
+    name,
+    help,
+    type: 'gauge',
+    collect() {
+      const collected = collect();
+      const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+      return samples.map(({ labels, value }) => formatSample(name, labels, value));
+    }
+  };
+  metrics.push(gauge);
+  return gauge;
+}
+
+// Histogram without labels: observe(value)
+function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let count = 0;
+  let sum = 0;
+  const histogram = {
+    name,
+    help,
+    type: 'histogram',
+    observe(value) {
+      buckets.forEach((bound, index) => {
+        if (value <= bound) counts[index]++;
+      });
+      count++;
+      sum += value;
+    },
+    collect() {
+      return [...buckets.map((bound, index) => formatSample(`${name}_bucket`, { le: bound }, counts[index])),
+        formatSample(`${name}_bucket`, { le: '+Inf' }, count),
+        formatSample(`${name}_sum`, {}, sum),
+        formatSample(`${name}_count`, {}, count)];
+    }
+  };
+  metrics.push(histogram);
+  return histogram;
+}
+
+// Event names from clients are only used as labels if they are known,
+// so a client can't create unlimited label values
+function eventLabel(event) {
+  return EVENT_SCHEMAS[event] ? event : 'unknown';
+}
+
+const messagesReceived = createCounter('capyverse_messages_received_total', 'Socket messages received, by event');
+const bytesReceived = createCounter('capyverse_received_bytes_total', 'Payload bytes of socket messages received, by event');
+const messagesSent = createCounter('capyverse_messages_sent_total', 'Socket messages sent, by event (broadcasts count once per recipient)');
+const bytesSent = createCounter('capyverse_sent_bytes_total', 'Payload bytes of socket messages sent, by event');
+const rejections = createCounter('capyverse_rejected_messages_total', 'Socket messages rejected, by event and code (rate_limited, invalid_payload, ...)');
+const tickDuration = createHistogram('capyverse_tick_duration_seconds', 'Time spent simulating and sending snapshots per game loop tick', TICK_BUCKETS);
+
+// Gauges of the socket server, which is created after this module is loaded
+let getIo = () => null;
+
+createGauge('capyverse_connected_sockets', 'Open socket connections', () => {
+  const io = getIo();
+  return io ? io.engine.clientsCount : 0;
+});
+
+createGauge('capyverse_room_players', 'Players in each room instance simulated by this process, including those waiting to resume', () =>
+  getRooms().map(room => ({ labels: { room: room.id }, value: room.players.getLocalPlayers().length })));
+
+// The delay monitor's samples include its own timer interval, which is taken off again
+const LAG_RESOLUTION_MS = 10;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+eventLoopDelay.enable();
+
+function lagSeconds(nanoseconds) {
+  return Math.max(0, nanoseconds / 1e6 - LAG_RESOLUTION_MS) / 1000;
+}
+
+// Both read the delays since the previous scrape; the monitor is reset after the max
+createGauge('capyverse_event_loop_lag_seconds', 'Event loop delay quantiles since the last scrape', () =>
+  LAG_QUANTILES.map(quantile => ({
+    labels: { quantile },
+    value: lagSeconds(eventLoopDelay.percentile(quantile * 100))
+  })));
+
+createGauge('capyverse_event_loop_lag_max_seconds', 'Longest event loop delay since the last scrape', () => {
+  const max = lagSeconds(eventLoopDelay.max);
+  eventLoopDelay.reset();
+  return max;
+});
+
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+createGauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+createGauge('process_uptime_seconds', 'Seconds since the server process started', () => process.uptime());
+
+// Payload size for the byte counters, 0 for payloads that can't be measured
+function measure(data) {
+  const size = getPayloadSize(data);
+  return Number.isFinite(size) ? size : 0;
+}
+
+function recordReceived(event, data) {
+  const label = eventLabel(event);
+  messagesReceived.inc({ event: label });
+  bytesReceived.inc({ event: label }, measure(data));
+}
+
+function recordRejection(event, code) {
+  rejections.inc({ event: eventLabel(event), code });
+}
+
+function recordTick(seconds) {
+  tickDuration.observe(seconds);
+}
+
+// Count everything the server sends to a socket, its own messages and broadcasts
+function trackOutgoing(socket) {
+  socket.onAnyOutgoing((event, ...args) => {
+    messagesSent.inc({ event });
+    bytesSent.inc({ event }, args.reduce((total, arg) => total + measure(arg), 0));
+  });
+}
+
+// Current samples of this process's metrics, as sample lines by metric;
+// plain data, so other cluster workers can be sent them
+function collectMetrics() {
+  return metrics.map(({ name, help, type, collect }) => ({ name, help, type, samples: collect() }));
+}
+
+// The metrics collected by one or more processes in the Prometheus text
+// format, each metric's samples from all of them under one header
+function renderMetrics(collections) {
+  const merged = new Map();
+  collections.flat().forEach(({ name, help, type, samples }) => {
+    if (!merged.has(name)) merged.set(name, [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`]);
+    merged.get(name).push(...samples);
+  });
+  return Array.from(merged.values()).flat().join('\n') + '\n';
+}
+
+// GET /metrics handler; getIoServer returns the socket.io server once it
+// exists, and collectAll(io) the collected metrics of every cluster worker
+function createMetricsHandler(getIoServer, collectAll) {
+  getIo = getIoServer;
+
+  return async (req, res) => {
+    if (METRICS_KEY && req.get('Authorization') !== `Bearer ${METRICS_KEY}`) {
+      res.status(401).send('Unauthorized');
+      return;
+    }
+    const io = getIo();
+    const collections = io ? await collectAll(io) : [collectMetrics()];
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.status(200).send(renderMetrics(collections));
+  };
+}
+
+module.exports = {
+  recordReceived,
+  recordRejection,
+  recordTick,
+  trackOutgoing,
+  collectMetrics,
+  createMetricsHandler
+};
@@ -0,0 +1,95 @@
+const { shared } = require('./shared');
+
+// Extra allowance on top of the movement rules for rounding and float error
+const TOLERANCE = 1.1;
+
+// Vertical range a player may be in (ground is at y = 0)
+const MIN_HEIGHT = -1;
+
+// Limits derived from the shared movement rules (loaded at startup)
+function getLimits() {
+  const { MOVEMENT } = shared.movement;
+  return {
+    worldHalfSize: MOVEMENT.worldHalfSize,
+    // Highest point of a jump: v^2 / 2g, plus the spawn height
+    maxHeight: (MOVEMENT.jumpVelocity * MOVEMENT.jumpVelocity) / (-2 * MOVEMENT.gravity) + 2,
+    maxHorizontalSpeed: MOVEMENT.walkSpeed * TOLERANCE,
+    maxRisingSpeed: MOVEMENT.jumpVelocity * TOLERANCE,
+    maxStepTime: MOVEMENT.maxStepTime,
+    gravity: MOVEMENT.gravity,
+    jumpVelocity: MOVEMENT.jumpVelocity
+  };
+}
+
+// Check a single input command, returns the reason it is invalid or null
+function validateCommand(command) {
+  const limits = getLimits();
+
+  if (!Number.isFinite(command.moveX) || !Number.isFinite(command.moveZ) || !Number.isFinite(command.dt)) {
+    return 'non-finite input';
+  }
+  // Clients send directions of at most length 1, quantization adds a little
+  if (Math.hypot(command.moveX, command.moveZ) > 1.02) {
+    return 'move vector too long';
+  }
+  if (command.dt <= 0 || command.dt > limits.maxStepTime * TOLERANCE) {
+    return 'invalid step time';
+  }
+  return null;
+}
+
+// Check that a position is a real point inside the world, returns the reason or null
+function validatePosition(position) {
+  const limits = getLimits();
+
+  if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y) || !Number.isFinite(position.z)) {
+    return 'non-finite position';
+  }
+  if (Math.abs(position.x) > limits.worldHalfSize || Math.abs(position.z) > limits.worldHalfSize) {
+    return 'outside world bounds';
+  }
+  if (position.y < MIN_HEIGHT || position.y > limits.maxHeight) {
+    return 'outside vertical limits';
+  }
+  return null;
+}
+
+// Check a move between two movement states over the simulated time in between
+// for speed and acceleration the movement rules can't produce
+function validateTransition(previous, next, elapsedSeconds) {
+  const positionError = validatePosition(next);
+  if (positionError) return positionError;
+  if (elapsedSeconds <= 0) return null;
+
+  const limits = getLimits();
+
+  const horizontalDistance = Math.hypot(next.x - previous.x, next.z - previous.z);
+  if (horizontalDistance > limits.maxHorizontalSpeed * elapsedSeconds + 0.01) {
+    return `horizontal speed ${(horizontalDistance / elapsedSeconds).toFixed(2)}`;
+  }
+
+  const rise = next.y - previous.y;
+  if (rise > limits.maxRisingSpeed * elapsedSeconds + 0.01) {
+    return `vertical speed ${(rise / elapsedSeconds).toFixed(2)}`;
+  }
+
+  // Velocity can reverse instantly on the ground, but never by more than that
+  const horizontalChange = Math.hypot(next.vx - previous.vx, next.vz - previous.vz);
+  if (horizontalChange > limits.maxHorizontalSpeed * 2 + 0.01) {
+    return `horizontal acceleration ${horizontalChange.toFixed(2)}`;
+  }
+
+  // Upward velocity only comes from a jump
+  const verticalChange = next.vy - previous.vy;
+  if (verticalChange > limits.jumpVelocity * TOLERANCE) {
+    return `vertical acceleration ${verticalChange.toFixed(2)}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateCommand,
+  validatePosition,
+  validateTransition
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'nameValidator' });
+
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 20;
+
+// Letters and digits of any script, plus spaces and a little punctuation
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u;
+
+// Always blocked: names that pretend to speak for the game
+const DEFAULT_BLOCKLIST = ['admin', 'moderator', 'capyverse', 'server', 'system'];
+
+// Extra blocked words: comma separated in NAME_BLOCKLIST and/or one per line in NAME_BLOCKLIST_FILE
+function loadBlocklist() {
+  const words = [...DEFAULT_BLOCKLIST];
+
+  if (process.env.NAME_BLOCKLIST) {
+    words.push(...process.env.NAME_BLOCKLIST.split(','));
+  }
+  if (process.env.NAME_BLOCKLIST_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.NAME_BLOCKLIST_FILE, 'utf8').split('\n'));
+    } catch (error) {
+      log.error('Could not read NAME_BLOCKLIST_FILE', { file: process.env.NAME_BLOCKLIST_FILE, error });
+    }
+  }
+
+  return Array.from(new Set(words.map(toSkeleton).filter(Boolean)));
+}
+
+// Digits and symbols commonly used in place of letters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+// Reduce a name to lowercase letters, so "4dm1n", "A.d.m.i.n" and "ADMIN" look the same
+function toSkeleton(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '') // Combining accents
+    .toLowerCase()
+    .replace(/./gu, char => LOOKALIKES[char] || char)
+    .replace(/[^\p{L}]/gu, '');
+}
+
+const blocklist = loadBlocklist();
+
+// A name is blocked if it, or any word in it, starts with a blocked word.
+// Matching word starts rather than anywhere avoids blocking e.g. "Badminton".
+function isBlocked(name) {
+  const skeletons = [name, ...name.split(' ')].map(toSkeleton).filter(Boolean);
+  return skeletons.some(skeleton => blocklist.some(word => skeleton.startsWith(word)));
+}
+
+// Normalized form of a name: NFKC (so full-width and other compatibility
+// characters become their plain equivalents), single spaces, trimmed
+function normalizeName(name) {
+  return name.normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+// Key for comparing names, case-insensitive
+function nameKey(name) {
+  return normalizeName(name).toLowerCase();
+}
+
+// Check a requested display name.
+// Returns { name } with the normalized name, or { error: { code, message } }
+function validateName(rawName) {
+  if (typeof rawName !== 'string') {
+    return { error: { code: 'invalid_name', message: 'Name must be text' } };
+  }
+
+  const name = normalizeName(rawName);
+  const length = Array.from(name).length;
+  if (length < MIN_NAME_LENGTH || length > MAX_NAME_LENGTH) {
+    return { error: { code: 'invalid_name', message: `Name must be ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} characters` } };
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return { error: { code: 'invalid_name', message: 'Name can only use letters, numbers, spaces and _ . \' -' } };
+  }
+
+  if (isBlocked(name)) {
+    return { error: { code: 'name_blocked', message: 'That name is not allowed' } };
+  }
+
+  return { name };
+}
+
+module.exports = {
+  MIN_NAME_LENGTH,
+  MAX_NAME_LENGTH,
+  validateName,
+  nameKey
+};
@@ -0,0 +1,65 @@
+const { shared } = require('./shared');
+const { REJECTION_CODES, reject } = require('./eventGuard');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'networkSimulator' });
+
+// Development only: clients may ask for a simulated bad connection (see
+// shared/networkConditions.js). Off unless NETWORK_SIMULATION=1, as delayed
+// messages are held in memory and anyone could slow down their own link.
+const NETWORK_SIMULATION = process.env.NETWORK_SIMULATION === '1' && process.env.NODE_ENV !== 'production';
+
+// Events the game copes with losing, like UDP datagrams would be lost
+const UNRELIABLE_EVENTS = new Set(['snapshot']);
+
+// Event name of an encoded socket.io packet, e.g. '2["chat",{...}]' or, with
+// binary attachments, '51-["snapshot",{"_placeholder":true,"num":0}]'
+const EVENT_PACKET = /^[25](?:\d+-)?(?:\/[^,]*,)?\d*\["([^"]+)"/;
+
+function getEventName(encodedPackets) {
+  const match = typeof encodedPackets[0] === 'string' && EVENT_PACKET.exec(encodedPackets[0]);
+  return match ? match[1] : null;
+}
+
+function getEncodedSize(encodedPackets) {
+  return encodedPackets.reduce((total, packet) => total + (typeof packet === 'string' ? Buffer.byteLength(packet) : packet.byteLength), 0);
+}
+
+// socket.io middleware: everything written to the client, its own messages
+// and room broadcasts alike, goes over a simulated link. The link has no
+// conditions until the client sends 'netConditions'.
+function simulateNetwork(socket, next) {
+  const link = shared.networkConditions.createLink();
+  const { client } = socket;
+  const writeToEngine = client.writeToEngine.bind(client);
+
+  client.writeToEngine = (encodedPackets, opts) => {
+    const packets = Array.isArray(encodedPackets) ? encodedPackets : [encodedPackets];
+    const unreliable = UNRELIABLE_EVENTS.has(getEventName(packets));
+    link.send(getEncodedSize(packets), () => writeToEngine(packets, opts), unreliable);
+  };
+
+  socket.data.link = link;
+  socket.on('disconnect', () => link.clear());
+  next();
+}
+
+// Register the 'netConditions' handler: the client's settings for what the
+// server sends it. Refused when the simulation is off.
+function handleNetworkConditions(socket, on) {
+  on('netConditions', (conditions) => {
+    if (!socket.data.link) {
+      reject(socket, 'netConditions', REJECTION_CODES.NOT_AVAILABLE, 'Network simulation is off on this server (NETWORK_SIMULATION=1)', { throttle: false });
+      return;
+    }
+
+    socket.data.link.setConditions(conditions);
+    log.info('Simulated network conditions', { socketId: socket.id, ...socket.data.link.conditions });
+  });
+}
+
+module.exports = {
+  NETWORK_SIMULATION,
+  simulateNetwork,
+  handleNetworkConditions
+};
@@ -0,0 +1,164 @@
+const { toPublicPlayer } = require('./playerManager');
+const { restoreRoom, openRoom, releaseRoom, findPlayer } = require('./roomManager');
+const { shared } = require('./shared');
+const { createSession, suspendSession, endSession } = require('./sessions');
+const { openProfile, attachProfile, savePlayerProfile } = require('./profiles');
+const { kickSocket } = require('./strikes');
+const { toSnapshotPlayer } = require('./worldSnapshot');
+const { requestWorkers } = require('./clusterSync');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'playerLifecycle' });
+
+// Take a player out of its room for good and tell the others in the room
+function removeFromRoom(io, room, playerId) {
+  const removedPlayer = room.players.removePlayer(playerId);
+  if (removedPlayer) {
+    endSession(removedPlayer.sessionToken);
+    savePlayerProfile(removedPlayer);
+    io.to(room.id).emit('playerLeft', { id: playerId });
+  }
+  releaseRoom(room);
+  return removedPlayer;
+}
+
+// Remove a player for good, e.g. by an admin. A connected player's client is
+// told why and disconnected (the disconnect handler then removes the player);
+// players waiting to resume are removed right away. Players of other cluster
+// workers are kicked by their worker.
+function kickPlayer(io, room, player, reason) {
+  if (player.remote) {
+    io.serverSideEmit('kickPlayer', player.id, reason);
+    return;
+  }
+
+  const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+  if (socket) {
+    kickSocket(socket, reason);
+  } else {
+    removeFromRoom(io, room, player.id);
+  }
+}
+
+// Put a new player into a room, at rest at the given position
+function addPlayerToRoom(room, { id, accountId, name, position, yaw, emote = null }) {
+  const movement = shared.movement.createMovementState(position, yaw);
+  return room.players.addPlayer({
+    id,
+    accountId,
+    name,
+    position,
+    rotation: { y: yaw },
+    animationState: emote || 'idle',
+    // Emote chosen with the 'emote' event, until the player moves
+    emote,
+    // Server-side simulation state, never sent to clients as-is
+    movement,
+    lastValidMovement: { ...movement },
+    inputQueue: [],
+    inputBudget: 0,
+    lastQueuedInput: 0,
+    lastProcessedInput: 0
+  });
+}
+
+// Keep a player without a connection in the room for a while, so its client can reconnect
+function suspendPlayer(io, room, player) {
+  suspendSession(player.sessionToken, () => {
+    removeFromRoom(io, room, player.id);
+    log.info('Player session expired', { playerId: player.id, name: player.name });
+  });
+}
+
+// Stop a socket from controlling its player (the player itself stays in the room)
+function detachSocket(socket) {
+  if (socket.data.room) {
+    socket.leave(socket.data.room.id);
+  }
+  socket.data.room = null;
+  socket.data.playerId = null;
+  socket.data.snapshots = null;
+  socket.data.interest = null;
+}
+
+// Add a player saved by worldSnapshot.js, without a connection yet. Its
+// client resumes it by joining with the session token it already has.
+function restorePlayer(room, playerData) {
+  const profile = openProfile(playerData.accountId, playerData.name);
+  const player = addPlayerToRoom(room, playerData);
+  player.socketId = null;
+  player.sessionToken = createSession(player, room, playerData.sessionToken);
+  attachProfile(player, profile, { restored: true });
+  return player;
+}
+
+// Put the rooms and players of a world snapshot back. The players wait for
+// their clients like after a dropped connection.
+function restoreWorld(io, snapshot) {
+  snapshot.rooms.forEach(roomData => {
+    const room = restoreRoom(roomData);
+    roomData.players.forEach(playerData => suspendPlayer(io, room, restorePlayer(room, playerData)));
+    // Rooms whose players all left while the snapshot was written
+    releaseRoom(room);
+  });
+
+  log.info('World restored', {
+    savedAt: new Date(snapshot.savedAt).toISOString(),
+    rooms: snapshot.rooms.length,
+    players: snapshot.rooms.reduce((total, room) => total + room.players.length, 0)
+  });
+}
+
+// Answer other cluster workers: kick our players for them, and give up a
+// player whose client reconnected to another worker
+function handleClusterRequests(io) {
+  io.on('kickPlayer', (playerId, reason) => {
+    const found = findPlayer(playerId);
+    if (found && !found.player.remote) kickPlayer(io, found.room, found.player, reason);
+  });
+
+  io.on('handOverPlayer', (playerId, callback) => {
+    const found = findPlayer(playerId);
+    if (!found || found.player.remote) {
+      callback(null);
+      return;
+    }
+
+    const { room, player } = found;
+    const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (socket) {
+      detachSocket(socket);
+      socket.disconnect(true);
+    }
+    removeFromRoom(io, room, player.id);
+    log.info('Player handed over to another worker', { playerId: player.id, name: player.name, room: room.id });
+    callback({ name: room.name, instance: room.instance, player: toSnapshotPlayer(player) });
+  });
+}
+
+// Move a player simulated by another cluster worker over to this one, e.g.
+// when its client reconnected here. Returns { room, player }, or null if the
+// other worker doesn't have it anymore.
+async function takeOverPlayer(io, remotePlayer) {
+  const responses = await requestWorkers(io, 'handOverPlayer', remotePlayer.id);
+  const handedOver = responses.find(Boolean);
+  if (!handedOver) return null;
+
+  const room = openRoom(handedOver.name, handedOver.instance);
+  // Replace our copy of the player with the player itself
+  room.players.removePlayer(remotePlayer.id);
+  const player = restorePlayer(room, handedOver.player);
+  io.to(room.id).emit('playerJoined', toPublicPlayer(player));
+  return { room, player };
+}
+
+module.exports = {
+  removeFromRoom,
+  kickPlayer,
+  addPlayerToRoom,
+  suspendPlayer,
+  detachSocket,
+  restoreWorld,
+  handleClusterRequests,
+  takeOverPlayer
+};
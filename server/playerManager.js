@@ -1,78 +1,186 @@
-// In-memory store for connected players
-const players = new Map();
-
-// Add a new player
-function addPlayer(playerData) {
-  console.log(`Adding player: ${playerData.id} (${playerData.name})`, playerData);
-  
-  // Ensure valid position
-  if (!playerData.position) {
-    console.warn(`No position for player ${playerData.id}, using default`);
-    playerData.position = { x: 0, y: 1, z: 0 };
-  }
-  
-  players.set(playerData.id, playerData);
-  console.log(`Player count: ${players.size}`);
-  return playerData;
-}
+const { validatePosition } = require('./movementValidator');
+const { createSpatialGrid } = require('./spatialGrid');
+const { CLUSTER_WORKERS, WORKER_INDEX, isClusterWorker } = require('./cluster');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'playerManager' });
+
+// Position updates happen for every player on every tick, only a few are logged
+const POSITION_LOG_SAMPLE_RATE = 0.01;
+const positionLog = log.sample(POSITION_LOG_SAMPLE_RATE);
+
+// Small numeric ids used instead of socket ids in binary snapshots
+const MAX_NET_ID = 65535;
+
+// Cluster workers hand out net ids from separate ranges, so players mirrored
+// from other workers keep theirs
+const NET_IDS_PER_WORKER = isClusterWorker() ? Math.floor(MAX_NET_ID / CLUSTER_WORKERS) : MAX_NET_ID;
+const FIRST_NET_ID = isClusterWorker() ? WORKER_INDEX * NET_IDS_PER_WORKER + 1 : 1;
+const LAST_NET_ID = FIRST_NET_ID + NET_IDS_PER_WORKER - 1;
+
+// Size of the spatial grid cells in world units
+const GRID_CELL_SIZE = 20;
+
+// Player store for one room. Net ids are only unique within the room,
+// since snapshots never mix players from different rooms.
+//
+// In a cluster the room also holds read-only copies of the players other
+// workers simulate (remote: true), kept up to date by clusterSync.js.
+function createPlayerManager() {
+  // In-memory store for the room's connected players
+  const players = new Map();
+  const grid = createSpatialGrid(GRID_CELL_SIZE);
+  let nextNetId = FIRST_NET_ID;
 
-// Remove a player
-function removePlayer(playerId) {
-  console.log(`Removing player: ${playerId}`);
-  const player = players.get(playerId);
-  if (player) {
-    players.delete(playerId);
-    console.log(`Player ${playerId} removed successfully. Player count: ${players.size}`);
-    return player;
+  // Find an unused net id, wrapping around at the end of our range
+  function allocateNetId() {
+    const inUse = new Set(Array.from(players.values(), p => p.netId));
+    for (let i = 0; i < NET_IDS_PER_WORKER; i++) {
+      const candidate = nextNetId;
+      nextNetId = nextNetId >= LAST_NET_ID ? FIRST_NET_ID : nextNetId + 1;
+      if (!inUse.has(candidate)) return candidate;
+    }
+    throw new Error('No free net ids');
   }
-  console.warn(`Player ${playerId} not found for removal`);
-  return null;
-}
 
-// Update player position/rotation/animation
-function updatePlayerPosition(playerId, data) {
-  const player = players.get(playerId);
-  if (player) {
-    console.log(`Updating player ${playerId} position`, data);
-    
-    // Update properties from data with validation
-    if (data.position) {
-      player.position = data.position;
-    } else {
-      console.warn(`No position data provided for player ${playerId}`);
+  // Add a new player
+  function addPlayer(playerData) {
+    // Ensure valid position
+    if (!playerData.position) {
+      log.warn('No position for player, using default', { playerId: playerData.id });
+      playerData.position = { x: 0, y: 1, z: 0 };
     }
-    
-    if (data.rotation) {
-      player.rotation = data.rotation;
+
+    playerData.netId = allocateNetId();
+    players.set(playerData.id, playerData);
+    grid.update(playerData.id, playerData.position);
+    log.debug('Player added', {
+      playerId: playerData.id,
+      name: playerData.name,
+      netId: playerData.netId,
+      position: playerData.position,
+      playerCount: players.size
+    });
+    return playerData;
+  }
+
+  // Remove a player
+  function removePlayer(playerId) {
+    const player = players.get(playerId);
+    if (player) {
+      players.delete(playerId);
+      grid.remove(playerId);
+      log.debug('Player removed', { playerId, playerCount: players.size });
+      return player;
     }
-    
-    if (data.animationState) {
-      player.animationState = data.animationState;
+    log.warn('Player not found for removal', { playerId });
+    return null;
+  }
+
+  // Update player position/rotation/animation
+  function updatePlayerPosition(playerId, data) {
+    const player = players.get(playerId);
+    if (player) {
+      // Update properties from data with validation
+      if (data.position) {
+        const violation = validatePosition(data.position);
+        if (violation) {
+          positionLog.warn('Rejected position', { playerId, violation, position: data.position });
+          return null;
+        }
+        player.position = data.position;
+        grid.update(playerId, player.position);
+      } else {
+        positionLog.warn('No position data provided', { playerId });
+      }
+
+      if (data.rotation) {
+        player.rotation = data.rotation;
+      }
+
+      if (data.animationState) {
+        player.animationState = data.animationState;
+      }
+
+      // Add timestamp for client-side interpolation
+      player.timestamp = Date.now();
+
+      positionLog.trace('Position updated', {
+        playerId,
+        position: player.position,
+        animationState: player.animationState
+      });
+      return player;
     }
-    
-    // Add timestamp for client-side interpolation
-    player.timestamp = Date.now();
-    
-    return player;
+    positionLog.warn('Player not found for position update', { playerId });
+    return null;
+  }
+
+  // Get all players
+  function getAllPlayers() {
+    return Array.from(players.values());
+  }
+
+  // Get a specific player
+  function getPlayer(playerId) {
+    return players.get(playerId);
+  }
+
+  // Replace the copies of another worker's players with its latest list
+  function syncRemotePlayers(workerIndex, remotePlayers) {
+    const ids = new Set(remotePlayers.map(player => player.id));
+    players.forEach(player => {
+      if (player.remote && player.workerIndex === workerIndex && !ids.has(player.id)) {
+        players.delete(player.id);
+        grid.remove(player.id);
+      }
+    });
+
+    remotePlayers.forEach(player => {
+      const existing = players.get(player.id);
+      // A player that moved over to this worker is ours now
+      if (existing && !existing.remote) return;
+      players.set(player.id, { ...player, remote: true, workerIndex });
+      grid.update(player.id, player.position);
+    });
+  }
+
+  // Players within a radius of a position on the ground plane
+  function getPlayersNear(position, radius) {
+    return grid.queryRadius(position, radius)
+      .map(id => players.get(id))
+      .filter(player => Math.hypot(player.position.x - position.x, player.position.z - position.z) <= radius);
   }
-  console.warn(`Player ${playerId} not found for position update`);
-  return null;
-}
 
-// Get all players
-function getAllPlayers() {
-  return Array.from(players.values());
+  return {
+    addPlayer,
+    removePlayer,
+    updatePlayerPosition,
+    getAllPlayers,
+    getPlayer,
+    getPlayersNear,
+    syncRemotePlayers,
+    getPlayerCount: () => players.size,
+    // Players this process simulates, without those of other cluster workers
+    getLocalPlayers: () => getAllPlayers().filter(player => !player.remote)
+  };
 }
 
-// Get a specific player
-function getPlayer(playerId) {
-  return players.get(playerId);
+// Player data that is safe to send to clients (no simulation internals)
+function toPublicPlayer(player) {
+  return {
+    id: player.id,
+    netId: player.netId,
+    name: player.name,
+    appearance: player.appearance,
+    position: player.position,
+    rotation: player.rotation,
+    animationState: player.animationState,
+    timestamp: player.timestamp
+  };
 }
 
 module.exports = {
-  addPlayer,
-  removePlayer,
-  updatePlayerPosition,
-  getAllPlayers,
-  getPlayer
+  createPlayerManager,
+  toPublicPlayer
 }; 
\ No newline at end of file
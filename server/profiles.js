@@ -0,0 +1,109 @@
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { validatePosition } = require('./movementValidator');
+
+// Where profiles are kept on disk
+const PROFILE_STORE_FILE = process.env.PROFILE_STORE_FILE || path.join(__dirname, 'data', 'profiles.ndjson');
+
+// How often the profiles of connected players are saved (ms)
+const PROFILE_SAVE_INTERVAL_MS = parseInt(process.env.PROFILE_SAVE_INTERVAL_MS, 10) || 30000;
+
+// Profiles by account id (see accounts.js)
+const store = createJsonStore(PROFILE_STORE_FILE);
+
+function loadProfiles() {
+  return store.load();
+}
+
+function createProfile(name) {
+  return {
+    name,
+    lastPosition: null,
+    lastYaw: Math.PI,
+    appearance: {},
+    stats: {
+      joins: 0,
+      playTimeSeconds: 0
+    },
+    items: [],
+    createdAt: Date.now()
+  };
+}
+
+// The saved profile of an account, or a new one
+function openProfile(accountId, name) {
+  return store.get(accountId) || createProfile(name);
+}
+
+// Where a player with this profile enters the world: its last position if that
+// is still valid, otherwise the spawn point
+function getSpawnPoint(profile) {
+  if (profile.lastPosition && !validatePosition(profile.lastPosition)) {
+    return { position: { ...profile.lastPosition }, yaw: profile.lastYaw };
+  }
+  return { position: { x: 0, y: 1, z: 0 }, yaw: Math.PI };
+}
+
+// Start tracking a joined player's profile; players restored after a
+// restart were already counted when they joined
+function attachProfile(player, profile, { restored = false } = {}) {
+  player.profile = profile;
+  player.appearance = profile.appearance;
+  player.profileSavedAt = Date.now();
+  if (!restored) profile.stats.joins++;
+}
+
+// Write the player's current state into its profile and persist it
+function savePlayerProfile(player) {
+  if (!player.profile) return Promise.resolve();
+
+  const now = Date.now();
+  const { movement, profile } = player;
+  profile.name = player.name;
+  profile.lastPosition = { x: movement.x, y: movement.y, z: movement.z };
+  profile.lastYaw = movement.yaw;
+  // Time spent waiting for a dropped client to come back doesn't count as play time
+  if (player.socketId) {
+    profile.stats.playTimeSeconds += (now - player.profileSavedAt) / 1000;
+  }
+  profile.updatedAt = now;
+  player.profileSavedAt = now;
+
+  return store.set(player.accountId, profile);
+}
+
+// Save the given players' profiles every PROFILE_SAVE_INTERVAL_MS
+function startProfileAutosave(getPlayers) {
+  const interval = setInterval(() => {
+    getPlayers().forEach(savePlayerProfile);
+  }, PROFILE_SAVE_INTERVAL_MS);
+
+  return {
+    stop: () => clearInterval(interval)
+  };
+}
+
+// Finish writing profiles, e.g. before the process exits
+function closeProfiles() {
+  return store.close();
+}
+
+// The parts of a profile a client may see about itself
+function toOwnProfile(profile) {
+  return {
+    appearance: profile.appearance,
+    stats: profile.stats,
+    items: profile.items
+  };
+}
+
+module.exports = {
+  loadProfiles,
+  openProfile,
+  getSpawnPoint,
+  attachProfile,
+  savePlayerProfile,
+  startProfileAutosave,
+  closeProfiles,
+  toOwnProfile
+};
@@ -0,0 +1,63 @@
+const { getRequestAddress } = require('./clientAddress');
+
+// Token bucket: holds up to `burst` tokens, refilled at `perSecond`.
+// Each message takes one token; a message arriving to an empty bucket is dropped.
+function createTokenBucket({ burst, perSecond }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * perSecond);
+      lastRefill = now;
+
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+// One bucket per event for a single socket, created on first use
+function createRateLimiter(limits) {
+  const buckets = new Map();
+
+  return {
+    // Returns false if the event is over its limit
+    allow(event) {
+      if (!limits[event]) return true;
+      if (!buckets.has(event)) {
+        buckets.set(event, createTokenBucket(limits[event]));
+      }
+      return buckets.get(event).take();
+    }
+  };
+}
+
+// Forget per-address buckets once this many addresses have been seen
+const MAX_TRACKED_ADDRESSES = 10000;
+
+// Express middleware with one token bucket per client address (behind a
+// reverse proxy the forwarded one, see clientAddress.js); requests over the
+// limit are answered with 429 and { error: 'rate_limited' }
+function limitRequestsByAddress(limit) {
+  const buckets = new Map();
+
+  return (req, res, next) => {
+    const address = getRequestAddress(req);
+    if (buckets.size > MAX_TRACKED_ADDRESSES) buckets.clear();
+    if (!buckets.has(address)) buckets.set(address, createTokenBucket(limit));
+    if (!buckets.get(address).take()) {
+      res.status(429).json({ error: 'rate_limited', message: 'Too many requests' });
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  createRateLimiter,
+  limitRequestsByAddress
+};
@@ -0,0 +1,127 @@
+const { createPlayerManager } = require('./playerManager');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'roomManager' });
+
+// Players per room instance before the next join opens a new instance
+const ROOM_CAPACITY = parseInt(process.env.ROOM_CAPACITY, 10) || 50;
+
+// Room used when the join payload doesn't ask for one
+const DEFAULT_ROOM = 'lobby';
+
+// Open room instances by id. Every requested room name has one or more
+// instances: the first is called like the room ("lobby"), the next ones get
+// a number ("lobby-2", "lobby-3", ...).
+const rooms = new Map();
+
+function getRoomId(name, instance) {
+  return instance === 1 ? name : `${name}-${instance}`;
+}
+
+function createRoom(name, instance) {
+  const room = {
+    id: getRoomId(name, instance),
+    name,
+    instance,
+    capacity: ROOM_CAPACITY,
+    // Locked rooms take no new players, joins go to another instance
+    locked: false,
+    players: createPlayerManager(),
+    // Latest chat messages, sent to players when they join (chat.js)
+    chatHistory: []
+  };
+  rooms.set(room.id, room);
+  log.info('Room opened', { room: room.id, capacity: room.capacity });
+  return room;
+}
+
+// Room names are case-insensitive
+function normalizeRoomName(name) {
+  return (name || DEFAULT_ROOM).trim().toLowerCase() || DEFAULT_ROOM;
+}
+
+// Find an instance of the requested room with a free slot, opening a new one if all are full
+function assignRoom(requestedName) {
+  const name = normalizeRoomName(requestedName);
+
+  const instances = getRooms().filter(room => room.name === name);
+  const open = instances.find(room => !room.locked && room.players.getPlayerCount() < room.capacity);
+  if (open) return open;
+
+  // Reuse the lowest instance number that is free
+  const taken = new Set(instances.map(room => room.instance));
+  let instance = 1;
+  while (taken.has(instance)) instance++;
+  return createRoom(name, instance);
+}
+
+// A room instance, opened if it isn't yet, e.g. for players of another cluster worker
+function openRoom(name, instance) {
+  return getRoom(getRoomId(name, instance)) || createRoom(name, instance);
+}
+
+// Open a room instance again as it was before a restart (worldSnapshot.js)
+function restoreRoom({ name, instance, capacity, locked, chatHistory }) {
+  const room = openRoom(name, instance);
+  room.capacity = capacity;
+  room.locked = locked;
+  room.chatHistory = chatHistory;
+  return room;
+}
+
+// Close a room once its last player has left
+function releaseRoom(room) {
+  if (room.players.getPlayerCount() === 0 && rooms.get(room.id) === room) {
+    rooms.delete(room.id);
+    log.info('Room closed', { room: room.id });
+  }
+}
+
+function getRoom(roomId) {
+  return rooms.get(roomId);
+}
+
+function getRooms() {
+  return Array.from(rooms.values());
+}
+
+// The room a player is in and the player, or null
+function findPlayer(playerId) {
+  for (const room of rooms.values()) {
+    const player = room.players.getPlayer(playerId);
+    if (player) return { room, player };
+  }
+  return null;
+}
+
+// Change a room instance's settings, e.g. from the admin API; they last until the room closes
+function updateRoomSettings(room, { capacity, locked }) {
+  if (capacity !== undefined) room.capacity = capacity;
+  if (locked !== undefined) room.locked = locked;
+  log.info('Room settings changed', { room: room.id, capacity: room.capacity, locked: room.locked });
+}
+
+// Player counts per room for /status, of the players this process simulates
+function getRoomStatus() {
+  return getRooms().map(room => ({
+    id: room.id,
+    name: room.name,
+    playerCount: room.players.getLocalPlayers().length,
+    capacity: room.capacity,
+    locked: room.locked
+  }));
+}
+
+module.exports = {
+  ROOM_CAPACITY,
+  DEFAULT_ROOM,
+  assignRoom,
+  openRoom,
+  restoreRoom,
+  releaseRoom,
+  getRoom,
+  getRooms,
+  findPlayer,
+  updateRoomSettings,
+  getRoomStatus
+};
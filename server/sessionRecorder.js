@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { WORKER_INDEX, isClusterWorker } = require('./cluster');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'sessionRecorder' });
+
+// Rooms whose sessions are recorded, by name: comma separated, or * for all.
+// Off by default; recordings grow by about a megabyte per player per minute.
+const RECORD_SESSIONS = (process.env.RECORD_SESSIONS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Where recordings are written, a new NDJSON file each time a recorded room opens
+const RECORDING_DIR = process.env.RECORDING_DIR || path.join(__dirname, 'data', 'recordings');
+
+// Version of the recording format, in each file's first line
+const RECORDING_VERSION = 1;
+
+// Fields left out of recorded events, so a recording handed around with a
+// bug report can't be used to take over the players' accounts or sessions
+const REDACTED_FIELDS = ['authToken', 'sessionToken'];
+
+// Open recordings by room id: { stream, file }
+const recordings = new Map();
+
+function isRecorded(room) {
+  return RECORD_SESSIONS.includes('*') || RECORD_SESSIONS.includes(room.name);
+}
+
+function getRecording(room) {
+  if (!recordings.has(room.id)) {
+    fs.mkdirSync(RECORDING_DIR, { recursive: true });
+    const startTime = Date.now();
+    const worker = isClusterWorker() ? `-w${WORKER_INDEX}` : '';
+    const file = path.join(RECORDING_DIR, `${room.id}-${new Date(startTime).toISOString().replace(/[:.]/g, '-')}${worker}.ndjson`);
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', error => log.error('Could not write recording', { file, error }));
+    recordings.set(room.id, { stream, file });
+
+    log.info('Recording room', { room: room.id, file });
+    writeLine(room, { type: 'start', version: RECORDING_VERSION, room: room.id, time: startTime });
+  }
+  return recordings.get(room.id);
+}
+
+function writeLine(room, line) {
+  getRecording(room).stream.write(`${JSON.stringify(line)}\n`);
+}
+
+// Event arguments as JSON, binary ones (inputs, snapshots) as base64
+function toRecordedArg(arg) {
+  if (arg instanceof ArrayBuffer || ArrayBuffer.isView(arg)) {
+    return { binary: Buffer.from(arg instanceof ArrayBuffer ? new Uint8Array(arg) : arg).toString('base64') };
+  }
+  if (arg && typeof arg === 'object' && REDACTED_FIELDS.some(field => field in arg)) {
+    const redacted = { ...arg };
+    REDACTED_FIELDS.forEach(field => {
+      if (field in redacted) redacted[field] = '[redacted]';
+    });
+    return redacted;
+  }
+  return arg;
+}
+
+function toRecordedArgs(args) {
+  return args.filter(arg => typeof arg !== 'function').map(toRecordedArg);
+}
+
+// Record every event a socket receives and sends while it is in a recorded
+// room ('in' and 'out' lines). Events outside a room, such as a refused
+// join, aren't recorded.
+function recordSocket(socket) {
+  if (!RECORD_SESSIONS.length) return;
+
+  function record(direction, event, args) {
+    const room = socket.data.room;
+    if (!room || !isRecorded(room)) return;
+    writeLine(room, {
+      type: direction,
+      time: Date.now(),
+      socket: socket.id,
+      player: socket.data.playerId,
+      event,
+      args: toRecordedArgs(args)
+    });
+  }
+
+  socket.onAny((event, ...args) => record('in', event, args));
+  socket.onAnyOutgoing((event, ...args) => record('out', event, args));
+}
+
+// Record where every player of the recorded rooms is after a game tick
+// ('state' lines); the replay viewer shows the players from these
+function recordRoomStates(rooms, tick, time) {
+  if (!RECORD_SESSIONS.length) return;
+
+  rooms.filter(isRecorded).forEach(room => {
+    const players = room.players.getAllPlayers();
+    if (!players.length && !recordings.has(room.id)) return;
+    writeLine(room, {
+      type: 'state',
+      time,
+      tick,
+      players: players.map(player => ({
+        id: player.id,
+        name: player.name,
+        position: player.position,
+        yaw: player.rotation.y,
+        animationState: player.animationState
+      }))
+    });
+  });
+
+  // Rooms that were closed
+  const open = new Set(rooms.map(room => room.id));
+  recordings.forEach((recording, roomId) => {
+    if (open.has(roomId)) return;
+    recording.stream.end();
+    recordings.delete(roomId);
+  });
+}
+
+// Finish writing all recordings, e.g. on shutdown
+function closeRecordings() {
+  const closing = Array.from(recordings.values(), ({ stream }) => new Promise(resolve => stream.end(resolve)));
+  recordings.clear();
+  return Promise.all(closing);
+}
+
+module.exports = {
+  recordSocket,
+  recordRoomStates,
+  closeRecordings
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// How long a disconnected player is kept so the client can resume (ms)
+const SESSION_GRACE_MS = parseInt(process.env.SESSION_GRACE_MS, 10) || 30000;
+
+// Resumable sessions by token: { token, playerId, roomId, expiryTimer }
+const sessions = new Map();
+
+// Start a session for a player that just joined, returns its token. Players
+// restored after a restart keep the token their client already has.
+function createSession(player, room, token = crypto.randomBytes(24).toString('base64url')) {
+  sessions.set(token, {
+    token,
+    playerId: player.id,
+    roomId: room.id,
+    expiryTimer: null
+  });
+  return token;
+}
+
+// Find a session by the token a client sent, or null if unknown or expired
+function findSession(token) {
+  return (token && sessions.get(token)) || null;
+}
+
+// Keep the session for the grace period after a disconnect; onExpire runs
+// if the client doesn't come back in time
+function suspendSession(token, onExpire) {
+  const session = sessions.get(token);
+  if (!session) return;
+
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = setTimeout(() => {
+    sessions.delete(token);
+    onExpire();
+  }, SESSION_GRACE_MS);
+}
+
+// The client reconnected, stop the grace period
+function resumeSession(token) {
+  const session = sessions.get(token);
+  if (!session) return null;
+
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = null;
+  return session;
+}
+
+// Forget a session, e.g. when the player left for good
+function endSession(token) {
+  const session = sessions.get(token);
+  if (!session) return;
+
+  clearTimeout(session.expiryTimer);
+  sessions.delete(token);
+}
+
+module.exports = {
+  SESSION_GRACE_MS,
+  createSession,
+  findSession,
+  suspendSession,
+  resumeSession,
+  endSession
+};
@@ -0,0 +1,26 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'shared' });
+
+// Game rules shared with the browser client live in ../shared as ES modules.
+// They are loaded once with import() before the server starts, after which
+// the other server modules can use them synchronously through this object.
+const shared = {
+  movement: null,
+  protocol: null,
+  snapshotCodec: null,
+  networkConditions: null
+};
+
+async function loadSharedModules() {
+  shared.movement = await import('../shared/movement.js');
+  shared.protocol = await import('../shared/protocol.js');
+  shared.snapshotCodec = await import('../shared/snapshotCodec.js');
+  shared.networkConditions = await import('../shared/networkConditions.js');
+  log.info('Shared game modules loaded');
+}
+
+module.exports = {
+  shared,
+  loadSharedModules
+};
@@ -0,0 +1,44 @@
+const { shared } = require('./shared');
+
+// Snapshots remembered per client as possible delta bases (about 1.5 s at 20 Hz)
+const SNAPSHOT_HISTORY_SIZE = 32;
+
+// Per-client record of sent snapshots and the newest one the client acknowledged
+function createSnapshotHistory() {
+  return {
+    sent: new Map(),
+    ackTick: 0
+  };
+}
+
+// Remember the newest snapshot tick a client reported receiving
+function acknowledgeSnapshot(history, tick) {
+  if (tick > history.ackTick && history.sent.has(tick)) {
+    history.ackTick = tick;
+  }
+}
+
+// Encode a snapshot for one client, delta compressed against its acknowledged
+// snapshot when that is still in the history, and send it as binary
+function sendSnapshot(socket, history, snapshot) {
+  const { encodeSnapshot } = shared.snapshotCodec;
+  const baseEntities = history.sent.get(history.ackTick) || null;
+  const baseTick = baseEntities ? history.ackTick : 0;
+
+  const buffer = encodeSnapshot(snapshot, baseTick, baseEntities);
+  socket.emit('snapshot', Buffer.from(buffer));
+
+  history.sent.set(snapshot.tick, new Map(snapshot.entities.map(entity => [entity.netId, entity])));
+  if (history.sent.size > SNAPSHOT_HISTORY_SIZE) {
+    // Maps iterate in insertion order, so the first key is the oldest tick
+    history.sent.delete(history.sent.keys().next().value);
+  }
+
+  return buffer.byteLength;
+}
+
+module.exports = {
+  createSnapshotHistory,
+  acknowledgeSnapshot,
+  sendSnapshot
+};
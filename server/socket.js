@@ -1,81 +1,399 @@
 const { Server } = require('socket.io');
-const { addPlayer, removePlayer, updatePlayerPosition, getAllPlayers } = require('./playerManager');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { toPublicPlayer } = require('./playerManager');
+const { assignRoom, releaseRoom, getRoom, getRooms } = require('./roomManager');
+const { issueToken, verifyToken } = require('./auth');
+const { getAccount, isUsernameTaken, toPublicAccount } = require('./accounts');
+const { queueInputs, updateAnimationState, startGameLoop } = require('./gameLoop');
+const { shared } = require('./shared');
+const { createSnapshotHistory, acknowledgeSnapshot } = require('./snapshotSender');
+const { resetInterest } = require('./interest');
+const { SESSION_GRACE_MS, createSession, findSession, resumeSession } = require('./sessions');
+const {
+  openProfile,
+  getSpawnPoint,
+  attachProfile,
+  savePlayerProfile,
+  startProfileAutosave,
+  toOwnProfile
+} = require('./profiles');
+const {
+  removeFromRoom,
+  addPlayerToRoom,
+  suspendPlayer,
+  detachSocket,
+  restoreWorld,
+  handleClusterRequests,
+  takeOverPlayer
+} = require('./playerLifecycle');
+const { validateName, nameKey } = require('./nameValidator');
+const { REJECTION_CODES, guardSocket, reject } = require('./eventGuard');
+const { createChatMessage } = require('./chat');
+const { getAddressBan } = require('./bans');
+const { getSocketAddress } = require('./clientAddress');
+const { trackOutgoing } = require('./metrics');
+const { saveWorldSnapshot } = require('./worldSnapshot');
+const { isClusterWorker } = require('./cluster');
+const { startClusterSync, shareChatMessage } = require('./clusterSync');
+const { NETWORK_SIMULATION, simulateNetwork, handleNetworkConditions } = require('./networkSimulator');
+const { recordSocket, closeRecordings } = require('./sessionRecorder');
+const { logger } = require('./logger');
 
-function initializeSocketServer(httpServer) {
+const log = logger.child({ module: 'socket' });
+
+// Largest message socket.io accepts before dropping the connection
+// (per-event limits in eventSchemas.js are much smaller)
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Started with the socket server, stopped when it shuts down
+let gameLoop = null;
+let profileAutosave = null;
+
+// Set once a shutdown began, no more joins are taken
+let shuttingDown = false;
+
+// Let a socket control a player and send it the state of the room
+function attachSocket(socket, account, room, player, resumed) {
+  player.socketId = socket.id;
+  socket.join(room.id);
+  socket.data.room = room;
+  socket.data.playerId = player.id;
+
+  // Snapshots to this client start over as full snapshots
+  socket.data.snapshots = createSnapshotHistory();
+
+  // Send the player itself and the players around it; others
+  // follow with 'interestEnter' as they come into range
+  const gameState = {
+    playerId: player.id,
+    room: room.id,
+    sessionToken: player.sessionToken,
+    // Refreshed on every join so tokens of active players don't expire
+    authToken: issueToken(account),
+    account: toPublicAccount(account),
+    profile: toOwnProfile(player.profile),
+    resumed,
+    chatHistory: room.chatHistory,
+    players: [player, ...resetInterest(socket, room, player)].map(toPublicPlayer)
+  };
+  log.debug('Sending gameState', { playerId: player.id, socketId: socket.id, room: room.id, playerCount: gameState.players.length });
+  socket.emit('gameState', gameState);
+}
+
+// Find the player an account already has in the world: the one of the
+// session token if that is still in its grace period, or else any (e.g. the
+// client lost its session token, or the account joins from a second tab)
+function findExistingPlayer(account, sessionToken) {
+  const session = findSession(sessionToken);
+  if (session) {
+    const room = getRoom(session.roomId);
+    const player = room && room.players.getPlayer(session.playerId);
+    if (player && player.accountId === account.id) return { room, player };
+  }
+
+  for (const room of getRooms()) {
+    const player = room.players.getAllPlayers().find(p => p.accountId === account.id);
+    if (player) return { room, player };
+  }
+  return null;
+}
+
+// Hand an existing player over to a new socket
+function resumePlayer(io, socket, room, player) {
+  // The old connection may not have noticed it is gone yet (e.g. after the
+  // phone switched networks), the new one takes over
+  const previous = player.socketId && io.sockets.sockets.get(player.socketId);
+  if (previous && previous !== socket) {
+    detachSocket(previous);
+    previous.disconnect(true);
+  }
+  resumeSession(player.sessionToken);
+
+  // The client numbers its commands from 1 again
+  player.inputQueue = [];
+  player.inputBudget = 0;
+  player.lastQueuedInput = 0;
+  player.lastProcessedInput = 0;
+
+  // Play time counts again from now on
+  player.profileSavedAt = Date.now();
+}
+
+// Every connection needs a token from POST /auth/guest or /auth/login
+function authenticateSocket(socket, next) {
+  const accountId = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+  const account = accountId && getAccount(accountId);
+  if (!account) {
+    next(new Error('unauthorized'));
+    return;
+  }
+  if (account.banned) {
+    const error = new Error('banned');
+    error.data = { reason: account.banReason || 'Account is banned' };
+    next(error);
+    return;
+  }
+  const addressBan = getAddressBan(getSocketAddress(socket));
+  if (addressBan) {
+    const error = new Error('banned');
+    error.data = { reason: addressBan.reason || 'Address is banned' };
+    next(error);
+    return;
+  }
+
+  socket.data.accountId = account.id;
+  next();
+}
+
+// snapshot is the world saved by the last shutdown, or null
+function initializeSocketServer(httpServer, snapshot = null) {
   const io = new Server(httpServer, {
     cors: {
       origin: '*', // In production, limit this to your game domain
       methods: ['GET', 'POST']
-    }
+    },
+    maxHttpBufferSize: MAX_MESSAGE_BYTES
   });
 
+  // Room broadcasts and server-side messages reach the other cluster workers
+  if (isClusterWorker()) {
+    io.adapter(createAdapter());
+  }
+
+  io.use(authenticateSocket);
+
+  // Development only: clients can ask for simulated latency, jitter and loss
+  if (NETWORK_SIMULATION) {
+    io.use(simulateNetwork);
+    log.warn('Network simulation is on, clients can slow down their connection');
+  }
+
   io.on('connection', (socket) => {
-    console.log(`New connection: ${socket.id}`);
+    log.info('New connection', { socketId: socket.id, accountId: socket.data.accountId });
+
+    // All client events go through schema validation and rate limiting
+    const on = guardSocket(socket);
+    trackOutgoing(socket);
+    recordSocket(socket);
 
     // Handle player join
-    socket.on('join', (playerData) => {
-      const player = addPlayer({
+    on('join', async (playerData) => {
+      // Clients join again once the restarted server is up
+      if (shuttingDown) {
+        reject(socket, 'join', REJECTION_CODES.SERVER_RESTARTING, 'The server is restarting', { throttle: false });
+        return;
+      }
+
+      // Joining again (e.g. a different room) leaves the current room first
+      if (socket.data.room) {
+        const room = socket.data.room;
+        const playerId = socket.data.playerId;
+        detachSocket(socket);
+        removeFromRoom(io, room, playerId);
+      }
+
+      // The account may have been removed since the handshake
+      const account = getAccount(socket.data.accountId);
+      if (!account) {
+        reject(socket, 'join', REJECTION_CODES.UNAUTHORIZED, 'Your account no longer exists', { throttle: false });
+        return;
+      }
+
+      // Pick up where we left off if the account is still in the world
+      let existing = findExistingPlayer(account, playerData.sessionToken);
+      if (existing && existing.player.remote) {
+        // Simulated by another cluster worker, e.g. the client reconnected to us
+        existing = await takeOverPlayer(io, existing.player);
+        if (!socket.connected) return;
+      }
+      if (existing) {
+        resumePlayer(io, socket, existing.room, existing.player);
+        attachSocket(socket, account, existing.room, existing.player, true);
+        log.info('Player resumed', { playerId: existing.player.id, name: existing.player.name, room: existing.room.id, socketId: socket.id });
+        return;
+      }
+
+      // Named accounts play under their username, which guests can't take
+      const profile = openProfile(account.id, playerData.name);
+      const requestedName = account.username || playerData.name || profile.name;
+      let name = `Player-${socket.id.substring(0, 5)}`;
+      if (requestedName) {
+        const result = validateName(requestedName);
+        if (result.error) {
+          reject(socket, 'join', result.error.code, result.error.message, { throttle: false });
+          return;
+        }
+        name = result.name;
+      }
+      if (!account.username && isUsernameTaken(name)) {
+        reject(socket, 'join', REJECTION_CODES.NAME_TAKEN, 'That name belongs to a registered player', { throttle: false });
+        return;
+      }
+
+      // Names are unique within a room (ignoring case)
+      const room = assignRoom(playerData.room);
+      if (room.players.getAllPlayers().some(p => nameKey(p.name) === nameKey(name))) {
+        releaseRoom(room);
+        reject(socket, 'join', REJECTION_CODES.NAME_TAKEN, 'Someone in this room already has that name', { throttle: false });
+        return;
+      }
+
+      // Returning players continue where they left the world
+      const spawn = getSpawnPoint(profile);
+      const player = addPlayerToRoom(room, {
         id: socket.id,
-        name: playerData.name || `Player-${socket.id.substring(0, 5)}`,
-        position: { x: 0, y: 1, z: 0 },
-        rotation: { y: Math.PI },
-        animationState: 'idle'
+        accountId: account.id,
+        name,
+        position: spawn.position,
+        yaw: spawn.yaw
       });
+      player.sessionToken = createSession(player, room);
+      attachProfile(player, profile);
+
+      attachSocket(socket, account, room, player, false);
+
+      // Tell the other players in the room that a new player joined
+      socket.to(room.id).emit('playerJoined', toPublicPlayer(player));
 
-      // Log all current players
-      console.log('Current players:');
-      getAllPlayers().forEach(p => {
-        console.log(`- ${p.id} (${p.name}): position=${JSON.stringify(p.position)}`);
+      log.info('Player joined', {
+        playerId: player.id,
+        name: player.name,
+        accountId: account.id,
+        room: room.id,
+        playerCount: room.players.getPlayerCount()
       });
+    });
+
+    // Handle binary movement inputs, simulated by the game loop and sent out in snapshots
+    on('input', (data) => {
+      const room = socket.data.room;
+      const player = room && room.players.getPlayer(socket.data.playerId);
+      if (!player) {
+        reject(socket, 'input', REJECTION_CODES.NOT_JOINED, 'Join before sending input');
+        return;
+      }
 
-      // Send the current state to the new player
-      const gameState = {
-        playerId: socket.id,
-        players: getAllPlayers()
-      };
-      console.log(`Sending gameState to new player ${socket.id}:`, gameState);
-      socket.emit('gameState', gameState);
-
-      // Broadcast to all other players that a new player joined
-      console.log(`Broadcasting playerJoined event for ${player.name} (${socket.id})`);
-      socket.broadcast.emit('playerJoined', player);
-      
-      console.log(`Player joined: ${player.name} (${socket.id})`);
+      let message;
+      try {
+        message = shared.protocol.decodeInput(data);
+      } catch (error) {
+        reject(socket, 'input', REJECTION_CODES.INVALID_PAYLOAD, error.message);
+        return;
+      }
+
+      acknowledgeSnapshot(socket.data.snapshots, message.ackTick);
+      queueInputs(socket, player, message.commands);
     });
 
-    // Handle player position updates
-    socket.on('updatePosition', (data) => {
-      console.log(`Position update from ${socket.id}:`, data);
-      
-      // Update player position, rotation and animation state
-      const updatedPlayer = updatePlayerPosition(socket.id, {
-        position: data.position,
-        rotation: data.rotation,
-        animationState: data.animationState
-      });
-      
-      if (updatedPlayer) {
-        // Broadcast the update to all other players
-        console.log(`Broadcasting playerMoved for ${socket.id}:`, updatedPlayer);
-        socket.broadcast.emit('playerMoved', updatedPlayer);
-      } else {
-        console.warn(`Failed to update position for player ${socket.id}`);
+    // Handle chat messages, broadcast to everyone in the player's room
+    on('chat', ({ text }) => {
+      const room = socket.data.room;
+      const player = room && room.players.getPlayer(socket.data.playerId);
+      if (!player) {
+        reject(socket, 'chat', REJECTION_CODES.NOT_JOINED, 'Join before chatting');
+        return;
+      }
+
+      const { message, error } = createChatMessage(room, player, text);
+      if (error) {
+        reject(socket, 'chat', error.code, error.message, { throttle: false });
+        return;
       }
+      io.to(room.id).emit('chat', message);
+      shareChatMessage(io, room, message);
     });
 
+    // Handle emotes, sent to the others as the player's animation state
+    on('emote', ({ emote }) => {
+      const room = socket.data.room;
+      const player = room && room.players.getPlayer(socket.data.playerId);
+      if (!player) {
+        reject(socket, 'emote', REJECTION_CODES.NOT_JOINED, 'Join before using emotes');
+        return;
+      }
+      if (!shared.protocol.EMOTES.includes(emote)) {
+        reject(socket, 'emote', REJECTION_CODES.INVALID_PAYLOAD, `Unknown emote '${emote}'`);
+        return;
+      }
+
+      player.emote = emote;
+      player.animationState = updateAnimationState(player);
+    });
+
+    handleNetworkConditions(socket, on);
+
     // Handle disconnections
-    socket.on('disconnect', () => {
-      const removedPlayer = removePlayer(socket.id);
-      if (removedPlayer) {
-        io.emit('playerLeft', { id: socket.id });
-        console.log(`Player disconnected: ${removedPlayer.name} (${socket.id})`);
-      } else {
-        console.log(`Connection disconnected: ${socket.id}`);
+    socket.on('disconnect', (reason) => {
+      const room = socket.data.room;
+      const player = room && room.players.getPlayer(socket.data.playerId);
+      detachSocket(socket);
+      // Players stay in the world snapshot as they were when the shutdown began
+      if (shuttingDown) return;
+      if (!player) {
+        log.info('Connection closed', { socketId: socket.id, reason });
+        return;
+      }
+
+      // Kicked players and clients that left on purpose can't resume
+      if (socket.data.kicked || reason === 'client namespace disconnect') {
+        removeFromRoom(io, room, player.id);
+        log.info('Player disconnected', { playerId: player.id, name: player.name, reason, kicked: !!socket.data.kicked });
+        return;
       }
+
+      savePlayerProfile(player);
+      player.socketId = null;
+      player.inputQueue = [];
+
+      log.info('Player connection lost, keeping the player for a reconnect', {
+        playerId: player.id,
+        name: player.name,
+        reason,
+        graceMs: SESSION_GRACE_MS
+      });
+      suspendPlayer(io, room, player);
     });
   });
 
+  if (snapshot) {
+    restoreWorld(io, snapshot);
+  }
+
+  // Cluster workers share their players and answer each other's requests
+  if (isClusterWorker()) {
+    startClusterSync(io);
+    handleClusterRequests(io);
+  }
+
+  // The server owns the simulation and broadcasts batched snapshots
+  gameLoop = startGameLoop(io);
+
+  // Profiles of everyone in the world are saved regularly, not only when they leave
+  profileAutosave = startProfileAutosave(() => getRooms().flatMap(room => room.players.getLocalPlayers()));
+
   return io;
 }
 
-module.exports = { initializeSocketServer }; 
\ No newline at end of file
+// Prepare for a restart: tell everyone, take no more joins, stop the world,
+// save the profiles and a snapshot of all rooms, then close the connections.
+// The clients reconnect and resume once the server is back.
+async function shutdownSocketServer(io, message) {
+  shuttingDown = true;
+  // Every cluster worker shuts down and tells its own clients
+  io.local.emit('serverRestarting', { message });
+
+  gameLoop.stop();
+  profileAutosave.stop();
+
+  const rooms = getRooms();
+  await Promise.all(rooms.flatMap(room => room.players.getLocalPlayers()).map(savePlayerProfile));
+  await saveWorldSnapshot(rooms);
+
+  io.local.disconnectSockets(true);
+  await closeRecordings();
+}
+
+module.exports = {
+  initializeSocketServer,
+  shutdownSocketServer
+};
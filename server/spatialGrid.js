@@ -0,0 +1,59 @@
+// Uniform grid over the ground plane (x/z) for finding players near a point
+// without checking every player in the room
+function createSpatialGrid(cellSize) {
+  // Cell key -> Set of ids, and id -> cell key it is currently in
+  const cells = new Map();
+  const cellOf = new Map();
+
+  const toCell = value => Math.floor(value / cellSize);
+  const keyFor = (cellX, cellZ) => `${cellX},${cellZ}`;
+
+  function remove(id) {
+    const key = cellOf.get(id);
+    if (key === undefined) return;
+
+    const cell = cells.get(key);
+    cell.delete(id);
+    if (cell.size === 0) cells.delete(key);
+    cellOf.delete(id);
+  }
+
+  // Insert an id or move it to the cell of its new position
+  function update(id, position) {
+    const key = keyFor(toCell(position.x), toCell(position.z));
+    if (cellOf.get(id) === key) return;
+
+    remove(id);
+    if (!cells.has(key)) cells.set(key, new Set());
+    cells.get(key).add(id);
+    cellOf.set(id, key);
+  }
+
+  // Ids in every cell touching the square around the position; callers
+  // check the exact distance, as corners of the square are further away
+  function queryRadius(position, radius) {
+    const minX = toCell(position.x - radius);
+    const maxX = toCell(position.x + radius);
+    const minZ = toCell(position.z - radius);
+    const maxZ = toCell(position.z + radius);
+
+    const ids = [];
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+        const cell = cells.get(keyFor(cellX, cellZ));
+        if (cell) cell.forEach(id => ids.push(id));
+      }
+    }
+    return ids;
+  }
+
+  return {
+    update,
+    remove,
+    queryRadius
+  };
+}
+
+module.exports = {
+  createSpatialGrid
+};
@@ -0,0 +1,52 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'strikes' });
+
+// Violations within this window count towards a kick
+const STRIKE_WINDOW_MS = parseInt(process.env.STRIKE_WINDOW_MS, 10) || 60000;
+
+// Strikes within the window before a player is kicked
+const MAX_STRIKES = parseInt(process.env.MAX_STRIKES, 10) || 5;
+
+// Record a cheating or protocol violation. The first offences are corrected
+// by the caller (the player's state is rolled back); repeat offenders are kicked.
+// Returns true if the player was kicked.
+function reportViolation(socket, player, reason, details = {}) {
+  const now = Date.now();
+
+  player.strikes = (player.strikes || []).filter(time => now - time < STRIKE_WINDOW_MS);
+  player.strikes.push(now);
+
+  log.warn('Violation', {
+    playerId: player.id,
+    name: player.name,
+    reason,
+    strikes: player.strikes.length,
+    maxStrikes: MAX_STRIKES,
+    position: player.position,
+    ...details
+  });
+
+  if (player.strikes.length < MAX_STRIKES) {
+    return false;
+  }
+
+  log.warn('Kicking player after repeated violations', { playerId: player.id, name: player.name, strikes: player.strikes.length });
+  if (socket) {
+    kickSocket(socket, 'Too many invalid movements');
+  }
+  return true;
+}
+
+// Tell a client why it is being disconnected and close its connection.
+// Kicked players don't get to resume their session.
+function kickSocket(socket, reason) {
+  socket.data.kicked = true;
+  socket.emit('kicked', { reason });
+  socket.disconnect(true);
+}
+
+module.exports = {
+  reportViolation,
+  kickSocket
+};
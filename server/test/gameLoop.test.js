@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { shared, loadSharedModules } = require('../shared');
+const { queueInputs, simulatePlayer } = require('../gameLoop');
+
+// Game loop tick at the default TICK_RATE
+const TICK_SECONDS = 0.05;
+
+const room = { players: { updatePlayerPosition() {} } };
+const io = { sockets: { sockets: new Map() } };
+const socket = { data: {}, emit() {}, disconnect() {} };
+
+function createPlayer() {
+  const movement = shared.movement.createMovementState({ x: 0, y: 0, z: 0 }, 0);
+  return {
+    id: 'player',
+    name: 'Tester',
+    position: { x: 0, y: 0, z: 0 },
+    emote: null,
+    movement,
+    lastValidMovement: { ...movement },
+    inputQueue: [],
+    inputBudget: 0,
+    lastQueuedInput: 0,
+    lastProcessedInput: 0
+  };
+}
+
+// A client walking at frameRate frames per second for a number of ticks, its
+// commands covering `speed` times the real time. The commands of the ticks in
+// heldUp arrive together with those of the next tick that gets through.
+function play(player, { frameRate, ticks, speed = 1, heldUp = [] }) {
+  let pending = [];
+  for (let tick = 0; tick < ticks; tick++) {
+    for (let frame = 0; frame < frameRate * TICK_SECONDS; frame++) {
+      pending.push({ seq: player.lastQueuedInput + pending.length + 1, moveX: 0, moveZ: -1, jump: false, dt: speed / frameRate });
+    }
+    if (!heldUp.includes(tick)) {
+      queueInputs(socket, player, pending);
+      pending = [];
+    }
+    simulatePlayer(io, room, player, TICK_SECONDS);
+  }
+}
+
+before(loadSharedModules);
+
+test('a 240 Hz client whose inputs arrive two ticks late is not flagged', () => {
+  const player = createPlayer();
+  play(player, { frameRate: 240, ticks: 40, heldUp: [10, 11] });
+
+  assert.equal(player.strikes, undefined);
+  assert.equal(player.lastQueuedInput, 40 * 12);
+});
+
+test('inputs held up for over half a second at 240 Hz are all queued', () => {
+  const player = createPlayer();
+  play(player, { frameRate: 240, ticks: 40, heldUp: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21] });
+
+  assert.equal(player.strikes, undefined);
+  assert.equal(player.lastQueuedInput, 40 * 12);
+});
+
+test('a client sending inputs faster than real time is flagged as a flood', () => {
+  const player = createPlayer();
+  play(player, { frameRate: 60, ticks: 60, speed: 2 });
+
+  assert.ok(player.strikes && player.strikes.length > 0);
+  assert.ok(player.lastQueuedInput < 60 * 3);
+});
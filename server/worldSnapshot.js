@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { WORKER_INDEX, isClusterWorker } = require('./cluster');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'worldSnapshot' });
+
+// Where the rooms and players are written when the server shuts down. Cluster
+// workers each write their own players, to a file numbered like the worker.
+const WORLD_SNAPSHOT_FILE = (process.env.WORLD_SNAPSHOT_FILE || path.join(__dirname, 'data', 'world-snapshot.json'))
+  .replace(/(\.json)?$/, isClusterWorker() ? `-${WORKER_INDEX}$1` : '$1');
+
+// Older snapshots are ignored on boot, their players won't come back anymore (ms)
+const WORLD_SNAPSHOT_MAX_AGE_MS = parseInt(process.env.WORLD_SNAPSHOT_MAX_AGE_MS, 10) || 10 * 60 * 1000;
+
+// What is kept of a player across a restart. Its movement starts over at
+// rest and its profile is opened again from the profile store.
+function toSnapshotPlayer(player) {
+  const { movement } = player;
+  return {
+    id: player.id,
+    accountId: player.accountId,
+    name: player.name,
+    sessionToken: player.sessionToken,
+    position: { x: movement.x, y: movement.y, z: movement.z },
+    yaw: movement.yaw,
+    emote: player.emote
+  };
+}
+
+function toSnapshotRoom(room) {
+  return {
+    name: room.name,
+    instance: room.instance,
+    capacity: room.capacity,
+    locked: room.locked,
+    chatHistory: room.chatHistory,
+    players: room.players.getLocalPlayers().map(toSnapshotPlayer)
+  };
+}
+
+// Write all rooms and their players, replacing any earlier snapshot
+async function saveWorldSnapshot(rooms) {
+  const snapshot = { savedAt: Date.now(), rooms: rooms.map(toSnapshotRoom) };
+  const tempPath = `${WORLD_SNAPSHOT_FILE}.tmp`;
+  await fs.promises.mkdir(path.dirname(WORLD_SNAPSHOT_FILE), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+  await fs.promises.rename(tempPath, WORLD_SNAPSHOT_FILE);
+
+  log.info('World snapshot saved', {
+    file: WORLD_SNAPSHOT_FILE,
+    rooms: snapshot.rooms.length,
+    players: snapshot.rooms.reduce((total, room) => total + room.players.length, 0)
+  });
+}
+
+// Read and remove the snapshot of the last shutdown, so it is only restored
+// once. Null if there is none or it is too old.
+async function loadWorldSnapshot() {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(WORLD_SNAPSHOT_FILE, 'utf8');
+    await fs.promises.unlink(WORLD_SNAPSHOT_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(contents);
+  } catch (error) {
+    log.warn('Ignoring unreadable world snapshot', { file: WORLD_SNAPSHOT_FILE, error });
+    return null;
+  }
+
+  const age = Date.now() - snapshot.savedAt;
+  if (!(age <= WORLD_SNAPSHOT_MAX_AGE_MS) || !Array.isArray(snapshot.rooms)) {
+    log.info('Ignoring outdated world snapshot', { file: WORLD_SNAPSHOT_FILE, ageMs: age });
+    return null;
+  }
+  return snapshot;
+}
+
+module.exports = {
+  toSnapshotPlayer,
+  saveWorldSnapshot,
+  loadWorldSnapshot
+};
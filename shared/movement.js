@@ -0,0 +1,173 @@
+/**
+ * movement.js
+ * Character movement rules shared by the client and the server, so the server
+ * can simulate players from their inputs and get the same result as the client
+ */
+
+export const MOVEMENT = {
+  walkSpeed: 6,           // Horizontal speed in units per second
+  gravity: -30,           // Heavier than real gravity for snappy jumps
+  jumpVelocity: 11,       // Initial upward velocity of a jump
+  coyoteTime: 0.12,       // Seconds after leaving the ground a jump is still allowed
+  jumpBufferTime: 0.15,   // Seconds a jump press is remembered before landing
+  maxStepTime: 0.1,       // Longest time a single input command may cover
+  worldHalfSize: 100,     // The terrain is 200x200 units centered on the origin
+  walkSpeedThreshold: 0.2 // Speed above which the character counts as walking
+};
+
+/**
+ * Create the movement state of a character standing at a position
+ * @param {Object} position - { x, y, z } of the character's feet
+ * @param {number} yaw - Facing angle around the Y axis
+ */
+export function createMovementState(position = { x: 0, y: 0, z: 0 }, yaw = 0) {
+  return {
+    x: position.x,
+    y: position.y,
+    z: position.z,
+    vx: 0,
+    vy: 0,
+    vz: 0,
+    yaw,
+    grounded: false,
+    coyoteTimer: 0,
+    jumpBufferTimer: 0
+  };
+}
+
+/**
+ * Convert forward/right input into a world-space direction relative to the camera
+ * @param {number} forward - Forward axis in the -1 to 1 range
+ * @param {number} right - Right axis in the -1 to 1 range
+ * @param {number} cameraAngle - Horizontal camera angle (ThirdPersonCamera.horizontalAngle)
+ * @returns {Object} { x, z } with a length of at most 1
+ */
+export function cameraRelativeDirection(forward, right, cameraAngle) {
+  // The camera sits at (sin, cos) of its angle, so forward points the other way
+  const forwardX = -Math.sin(cameraAngle);
+  const forwardZ = -Math.cos(cameraAngle);
+
+  const direction = {
+    x: forwardX * forward - forwardZ * right,
+    z: forwardZ * forward + forwardX * right
+  };
+  return clampDirection(direction);
+}
+
+/**
+ * Limit a direction to a length of 1 so diagonals are not faster
+ */
+export function clampDirection(direction) {
+  const length = Math.hypot(direction.x, direction.z);
+  if (length > 1) {
+    return { x: direction.x / length, z: direction.z / length };
+  }
+  return direction;
+}
+
+/**
+ * Default collision resolution: flat ground at y = 0 and no obstacles
+ * @param {Object} state - Movement state, position is updated in place
+ * @param {Object} desired - { x, y, z } translation for this step
+ * @returns {boolean} True if the character ended up on the ground
+ */
+export function moveOnFlatGround(state, desired) {
+  state.x += desired.x;
+  state.y += desired.y;
+  state.z += desired.z;
+
+  if (state.y <= 0) {
+    state.y = 0;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Advance a character by one input command
+ * @param {Object} state - Movement state, updated in place
+ * @param {Object} command - { moveX, moveZ, jump, dt } with a world-space move direction
+ * @param {Function} move - Collision resolver, (state, desired) => grounded
+ * @returns {Object} The updated state
+ */
+export function stepMovement(state, command, move = moveOnFlatGround) {
+  const dt = Math.min(Math.max(command.dt, 0), MOVEMENT.maxStepTime);
+  const direction = clampDirection({ x: command.moveX, z: command.moveZ });
+
+  // Coyote time and jump buffering
+  if (state.grounded) {
+    state.coyoteTimer = MOVEMENT.coyoteTime;
+  } else {
+    state.coyoteTimer = Math.max(0, state.coyoteTimer - dt);
+  }
+
+  if (command.jump) {
+    state.jumpBufferTimer = MOVEMENT.jumpBufferTime;
+  } else {
+    state.jumpBufferTimer = Math.max(0, state.jumpBufferTimer - dt);
+  }
+
+  if (state.jumpBufferTimer > 0 && state.coyoteTimer > 0) {
+    state.vy = MOVEMENT.jumpVelocity;
+    state.jumpBufferTimer = 0;
+    state.coyoteTimer = 0;
+    state.grounded = false;
+  }
+
+  // Horizontal velocity follows input directly, vertical velocity integrates gravity
+  state.vx = direction.x * MOVEMENT.walkSpeed;
+  state.vz = direction.z * MOVEMENT.walkSpeed;
+  state.vy += MOVEMENT.gravity * dt;
+
+  if (direction.x !== 0 || direction.z !== 0) {
+    state.yaw = Math.atan2(direction.x, direction.z);
+  }
+
+  const startY = state.y;
+  const desiredY = state.vy * dt;
+  state.grounded = move(state, { x: state.vx * dt, y: desiredY, z: state.vz * dt });
+
+  // Stop rising when the head hits something, stop falling on the ground
+  if (desiredY > 0 && state.y - startY < desiredY * 0.5) {
+    state.vy = 0;
+  }
+  if (state.grounded && state.vy < 0) {
+    state.vy = 0;
+  }
+
+  // Keep the character on the terrain
+  const limit = MOVEMENT.worldHalfSize;
+  state.x = Math.min(limit, Math.max(-limit, state.x));
+  state.z = Math.min(limit, Math.max(-limit, state.z));
+
+  return state;
+}
+
+/**
+ * Horizontal speed of a character in units per second
+ */
+export function getHorizontalSpeed(state) {
+  return Math.hypot(state.vx, state.vz);
+}
+
+/**
+ * Animation state that matches a character's movement
+ * @param {boolean} grounded - Whether the character is on the ground
+ * @param {number} speed - Horizontal speed in units per second
+ * @returns {string} 'idle', 'walk' or 'jump'
+ */
+export function getAnimationState(grounded, speed) {
+  if (!grounded) return 'jump';
+  return speed > MOVEMENT.walkSpeedThreshold ? 'walk' : 'idle';
+}
+
+/**
+ * Animation state of a character that may be playing an emote. Emotes only
+ * last while the character stands still, moving or jumping ends them.
+ * @param {string|null} emote - Emote the player chose, if any
+ * @param {string} state - Movement state from getAnimationState
+ * @returns {string} The emote, or the movement state once it is interrupted
+ */
+export function applyEmote(emote, state) {
+  return emote && state === 'idle' ? emote : state;
+}
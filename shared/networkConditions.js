@@ -0,0 +1,110 @@
+/**
+ * networkConditions.js
+ * Simulated bad connection for local development, where latency is otherwise
+ * zero and interpolation and prediction bugs stay hidden. Each side (the
+ * browser client and the server) passes the messages it sends through a
+ * link, so a setting applies in both directions.
+ */
+
+// A link without any simulated conditions
+export const NO_CONDITIONS = {
+  latency: 0,   // Delay added to every message, in each direction (ms)
+  jitter: 0,    // Random extra delay of up to this much (ms)
+  loss: 0,      // Fraction of unreliable updates (snapshots, inputs) that is dropped
+  bandwidth: 0  // Cap in kilobits per second, 0 for none
+};
+
+// Largest accepted value of each setting
+export const CONDITION_LIMITS = {
+  latency: 5000,
+  jitter: 5000,
+  loss: 1,
+  bandwidth: 100000
+};
+
+// Once this much is waiting for a capped link, unreliable updates are dropped
+// like a router drops packets from a full queue (ms)
+const MAX_QUEUE_MS = 2000;
+
+/**
+ * Complete, clamped settings from partial or untrusted ones
+ * @param {Object} conditions - Any of { latency, jitter, loss, bandwidth }
+ */
+export function normalizeConditions(conditions = {}) {
+  const normalized = {};
+  Object.keys(NO_CONDITIONS).forEach((key) => {
+    const value = Number(conditions[key]);
+    normalized[key] = Number.isFinite(value) ? Math.max(0, Math.min(CONDITION_LIMITS[key], value)) : 0;
+  });
+  return normalized;
+}
+
+export function hasConditions(conditions) {
+  return Object.keys(NO_CONDITIONS).some(key => conditions[key] > 0);
+}
+
+/**
+ * Create a simulated link. Messages keep their order, like on the websocket:
+ * jitter and the bandwidth cap hold up the messages behind a slow one.
+ * @param {Object} conditions - Initial settings, see NO_CONDITIONS
+ * @returns {Object} { conditions, setConditions(conditions), send(bytes, deliver, unreliable), clear() }
+ */
+export function createLink(conditions = NO_CONDITIONS) {
+  let current = normalizeConditions(conditions);
+  // When the previous message arrives, and when the capped link is free again
+  let lastDelivery = 0;
+  let busyUntil = 0;
+  const timers = new Set();
+
+  return {
+    get conditions() {
+      return current;
+    },
+
+    setConditions(next) {
+      current = normalizeConditions(next);
+    },
+
+    /**
+     * Pass a message over the link; deliver() is called when it arrives,
+     * or never if an unreliable message is lost
+     * @param {number} bytes - Size of the message, for the bandwidth cap
+     */
+    send(bytes, deliver, unreliable = false) {
+      // Messages still on their way go first
+      if (!hasConditions(current) && timers.size === 0) {
+        deliver();
+        return;
+      }
+
+      const now = Date.now();
+      if (unreliable && Math.random() < current.loss) return;
+
+      let sentAt = now;
+      if (current.bandwidth > 0) {
+        if (unreliable && busyUntil - now > MAX_QUEUE_MS) return;
+        // kbit/s is the same as bits per millisecond
+        busyUntil = Math.max(busyUntil, now) + (bytes * 8) / current.bandwidth;
+        sentAt = busyUntil;
+      }
+
+      const delay = current.latency + Math.random() * current.jitter;
+      lastDelivery = Math.max(lastDelivery, sentAt + delay);
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        deliver();
+      }, lastDelivery - now);
+      timers.add(timer);
+    },
+
+    /**
+     * Drop everything on its way, e.g. when the connection closes
+     */
+    clear() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      lastDelivery = 0;
+      busyUntil = 0;
+    }
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * protocol.js
+ * Binary encoding of the high-frequency network messages (input commands and
+ * world snapshots), shared by the client and the server.
+ *
+ * Every message starts with a version byte and a message type byte.
+ * Input commands are encoded here, snapshots in snapshotCodec.js.
+ * Positions are quantized to 1/256 of a unit in 16 bits (±128 units covers
+ * the 200x200 terrain), yaw is packed into 16 bits and animation states are
+ * sent as enum indices. Snapshots are delta compressed against the last
+ * snapshot the client acknowledged.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  INPUT: 1,
+  SNAPSHOT: 2
+};
+
+// Index in this list is the value sent on the wire, only append new states
+export const ANIMATION_STATES = ['idle', 'walk', 'jump', 'wave', 'sit', 'sleep', 'hotspring'];
+
+// Animation states a player can choose with the 'emote' event
+export const EMOTES = ['wave', 'sit', 'sleep', 'hotspring'];
+
+const POSITION_SCALE = 256;
+const YAW_STEPS = 65536;
+const MOVE_SCALE = 127;
+const DT_SCALE = 10000; // Command durations in 0.1 ms steps
+
+const MAX_COMMANDS_PER_MESSAGE = 255;
+
+/**
+ * Quantize a position component to its wire value
+ */
+export function quantizePosition(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value * POSITION_SCALE)));
+}
+
+export function dequantizePosition(value) {
+  return value / POSITION_SCALE;
+}
+
+/**
+ * Quantize an angle in radians to 16 bits
+ */
+export function quantizeYaw(yaw) {
+  const turns = yaw / (Math.PI * 2);
+  return Math.round((turns - Math.floor(turns)) * YAW_STEPS) % YAW_STEPS;
+}
+
+export function dequantizeYaw(value) {
+  const yaw = (value / YAW_STEPS) * Math.PI * 2;
+  return yaw > Math.PI ? yaw - Math.PI * 2 : yaw;
+}
+
+/**
+ * Round a movement command to exactly what survives encoding, so client-side
+ * prediction simulates the same values the server will decode
+ * @param {Object} command - { seq, moveX, moveZ, jump, dt }
+ */
+export function quantizeCommand(command) {
+  return {
+    ...command,
+    moveX: Math.round(Math.max(-1, Math.min(1, command.moveX)) * MOVE_SCALE) / MOVE_SCALE,
+    moveZ: Math.round(Math.max(-1, Math.min(1, command.moveZ)) * MOVE_SCALE) / MOVE_SCALE,
+    dt: Math.max(1, Math.min(65535, Math.round(command.dt * DT_SCALE))) / DT_SCALE
+  };
+}
+
+/**
+ * Convert a player's transform into the quantized form used for delta compression
+ * @param {Object} player - { netId, position, rotation: { y }, animationState }
+ */
+export function quantizeEntity(player) {
+  const animation = ANIMATION_STATES.indexOf(player.animationState);
+  return {
+    netId: player.netId,
+    x: quantizePosition(player.position.x),
+    y: quantizePosition(player.position.y),
+    z: quantizePosition(player.position.z),
+    yaw: quantizeYaw(player.rotation.y),
+    animation: animation >= 0 ? animation : 0
+  };
+}
+
+/**
+ * Convert a quantized entity back into a player transform
+ */
+export function dequantizeEntity(entity) {
+  return {
+    netId: entity.netId,
+    position: {
+      x: dequantizePosition(entity.x),
+      y: dequantizePosition(entity.y),
+      z: dequantizePosition(entity.z)
+    },
+    rotation: { y: dequantizeYaw(entity.yaw) },
+    animationState: ANIMATION_STATES[entity.animation] || 'idle'
+  };
+}
+
+/**
+ * Get a DataView over any binary payload socket.io delivers
+ * (ArrayBuffer in browsers, Buffer in Node)
+ */
+export function toDataView(data) {
+  if (data instanceof ArrayBuffer) return new DataView(data);
+  if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Expected binary message');
+}
+
+/**
+ * Read and check the message header
+ */
+export function readHeader(view, expectedType) {
+  if (view.byteLength < 2) throw new Error('Message too short');
+  const version = view.getUint8(0);
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+  }
+  const type = view.getUint8(1);
+  if (type !== expectedType) throw new Error(`Unexpected message type ${type}`);
+  return 2;
+}
+
+/**
+ * Encode a batch of input commands
+ * @param {Array} commands - Commands from quantizeCommand
+ * @param {number} ackTick - Newest snapshot tick the client has received
+ * @returns {ArrayBuffer}
+ */
+export function encodeInput(commands, ackTick) {
+  const batch = commands.slice(-MAX_COMMANDS_PER_MESSAGE);
+  const view = new DataView(new ArrayBuffer(7 + batch.length * 9));
+  view.setUint8(0, PROTOCOL_VERSION);
+  view.setUint8(1, MESSAGE_TYPES.INPUT);
+  view.setUint32(2, ackTick >>> 0);
+  view.setUint8(6, batch.length);
+
+  let offset = 7;
+  batch.forEach(command => {
+    view.setUint32(offset, command.seq >>> 0);
+    view.setInt8(offset + 4, Math.round(Math.max(-1, Math.min(1, command.moveX)) * MOVE_SCALE));
+    view.setInt8(offset + 5, Math.round(Math.max(-1, Math.min(1, command.moveZ)) * MOVE_SCALE));
+    view.setUint16(offset + 6, Math.max(1, Math.min(65535, Math.round(command.dt * DT_SCALE))));
+    view.setUint8(offset + 8, command.jump ? 1 : 0);
+    offset += 9;
+  });
+
+  return view.buffer;
+}
+
+/**
+ * Decode a batch of input commands
+ * @returns {Object} { ackTick, commands }
+ */
+export function decodeInput(data) {
+  const view = toDataView(data);
+  let offset = readHeader(view, MESSAGE_TYPES.INPUT);
+  if (view.byteLength < 7) throw new Error('Message too short');
+
+  const ackTick = view.getUint32(offset);
+  const count = view.getUint8(offset + 4);
+  offset += 5;
+  if (view.byteLength !== offset + count * 9) throw new Error('Input message length mismatch');
+
+  const commands = [];
+  for (let i = 0; i < count; i++) {
+    commands.push({
+      seq: view.getUint32(offset),
+      moveX: view.getInt8(offset + 4) / MOVE_SCALE,
+      moveZ: view.getInt8(offset + 5) / MOVE_SCALE,
+      dt: view.getUint16(offset + 6) / DT_SCALE,
+      jump: view.getUint8(offset + 8) === 1
+    });
+    offset += 9;
+  }
+
+  return { ackTick, commands };
+}
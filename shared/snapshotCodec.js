@@ -0,0 +1,185 @@
+/**
+ * snapshotCodec.js
+ * Binary world snapshots with delta compression.
+ *
+ * A snapshot lists quantized entities (see quantizeEntity in protocol.js).
+ * When encoded against a base snapshot the client already has, only entities
+ * whose fields changed are written, with a flag byte saying which fields
+ * follow, and entities that disappeared are marked as removed. The optional
+ * ack block carries the full-precision movement state of the receiving
+ * player for client-side reconciliation.
+ */
+
+import { PROTOCOL_VERSION, MESSAGE_TYPES, toDataView, readHeader } from './protocol.js';
+
+const FLAG_POSITION = 1;
+const FLAG_YAW = 2;
+const FLAG_ANIMATION = 4;
+const FLAG_REMOVED = 128;
+const FLAG_ALL = FLAG_POSITION | FLAG_YAW | FLAG_ANIMATION;
+
+const HEADER_SIZE = 20;   // version, type, tick, time, baseTick, entry count
+const MAX_ENTRY_SIZE = 12; // netId, flags, position, yaw, animation
+const ACK_SIZE = 42;      // flag, seq, 9 floats and the grounded byte
+
+// Movement state fields sent as float32 in the ack block, in order
+const ACK_FLOAT_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'yaw', 'coyoteTimer', 'jumpBufferTimer'];
+
+/**
+ * Which fields of an entity differ from its base version
+ */
+function getChangedFlags(entity, base) {
+  if (!base) return FLAG_ALL;
+
+  let flags = 0;
+  if (entity.x !== base.x || entity.y !== base.y || entity.z !== base.z) flags |= FLAG_POSITION;
+  if (entity.yaw !== base.yaw) flags |= FLAG_YAW;
+  if (entity.animation !== base.animation) flags |= FLAG_ANIMATION;
+  return flags;
+}
+
+/**
+ * Encode a snapshot, optionally as a delta against a base snapshot
+ * @param {Object} snapshot - { tick, time, entities: Array of quantized entities, ack: { seq, state } | null }
+ * @param {number} baseTick - Tick of the base snapshot, 0 for a full snapshot
+ * @param {Map|null} baseEntities - Quantized entities of the base snapshot by netId
+ * @returns {ArrayBuffer}
+ */
+export function encodeSnapshot(snapshot, baseTick = 0, baseEntities = null) {
+  const base = baseTick > 0 && baseEntities ? baseEntities : null;
+  const currentIds = new Set(snapshot.entities.map(entity => entity.netId));
+  const removedIds = base ? Array.from(base.keys()).filter(netId => !currentIds.has(netId)) : [];
+
+  const maxSize = HEADER_SIZE + (snapshot.entities.length + removedIds.length) * MAX_ENTRY_SIZE + ACK_SIZE;
+  const view = new DataView(new ArrayBuffer(maxSize));
+
+  view.setUint8(0, PROTOCOL_VERSION);
+  view.setUint8(1, MESSAGE_TYPES.SNAPSHOT);
+  view.setUint32(2, snapshot.tick >>> 0);
+  view.setFloat64(6, snapshot.time);
+  view.setUint32(14, base ? baseTick >>> 0 : 0);
+
+  let offset = HEADER_SIZE;
+  let count = 0;
+
+  snapshot.entities.forEach(entity => {
+    const flags = getChangedFlags(entity, base ? base.get(entity.netId) : null);
+    if (flags === 0) return;
+
+    view.setUint16(offset, entity.netId);
+    view.setUint8(offset + 2, flags);
+    offset += 3;
+
+    if (flags & FLAG_POSITION) {
+      view.setInt16(offset, entity.x);
+      view.setInt16(offset + 2, entity.y);
+      view.setInt16(offset + 4, entity.z);
+      offset += 6;
+    }
+    if (flags & FLAG_YAW) {
+      view.setUint16(offset, entity.yaw);
+      offset += 2;
+    }
+    if (flags & FLAG_ANIMATION) {
+      view.setUint8(offset, entity.animation);
+      offset += 1;
+    }
+    count++;
+  });
+
+  removedIds.forEach(netId => {
+    view.setUint16(offset, netId);
+    view.setUint8(offset + 2, FLAG_REMOVED);
+    offset += 3;
+    count++;
+  });
+
+  view.setUint16(18, count);
+
+  const { ack } = snapshot;
+  view.setUint8(offset, ack ? 1 : 0);
+  offset += 1;
+  if (ack) {
+    view.setUint32(offset, ack.seq >>> 0);
+    offset += 4;
+    ACK_FLOAT_FIELDS.forEach(field => {
+      view.setFloat32(offset, ack.state[field]);
+      offset += 4;
+    });
+    view.setUint8(offset, ack.state.grounded ? 1 : 0);
+    offset += 1;
+  }
+
+  return view.buffer.slice(0, offset);
+}
+
+/**
+ * Decode a snapshot, resolving deltas against a base snapshot
+ * @param {ArrayBuffer|Uint8Array} data - Encoded snapshot
+ * @param {Function} getBaseEntities - (baseTick) => Map of quantized entities, or null if unknown
+ * @returns {Object} { tick, time, baseTick, entities: Map by netId, ack }
+ */
+export function decodeSnapshot(data, getBaseEntities = () => null) {
+  const view = toDataView(data);
+  readHeader(view, MESSAGE_TYPES.SNAPSHOT);
+  if (view.byteLength < HEADER_SIZE + 1) throw new Error('Snapshot too short');
+
+  const tick = view.getUint32(2);
+  const time = view.getFloat64(6);
+  const baseTick = view.getUint32(14);
+  const count = view.getUint16(18);
+
+  let entities;
+  if (baseTick > 0) {
+    const base = getBaseEntities(baseTick);
+    if (!base) throw new Error(`Missing base snapshot ${baseTick} for snapshot ${tick}`);
+    entities = new Map(Array.from(base, ([netId, entity]) => [netId, { ...entity }]));
+  } else {
+    entities = new Map();
+  }
+
+  let offset = HEADER_SIZE;
+  for (let i = 0; i < count; i++) {
+    const netId = view.getUint16(offset);
+    const flags = view.getUint8(offset + 2);
+    offset += 3;
+
+    if (flags & FLAG_REMOVED) {
+      entities.delete(netId);
+      continue;
+    }
+
+    const entity = entities.get(netId) || { netId, x: 0, y: 0, z: 0, yaw: 0, animation: 0 };
+    if (flags & FLAG_POSITION) {
+      entity.x = view.getInt16(offset);
+      entity.y = view.getInt16(offset + 2);
+      entity.z = view.getInt16(offset + 4);
+      offset += 6;
+    }
+    if (flags & FLAG_YAW) {
+      entity.yaw = view.getUint16(offset);
+      offset += 2;
+    }
+    if (flags & FLAG_ANIMATION) {
+      entity.animation = view.getUint8(offset);
+      offset += 1;
+    }
+    entities.set(netId, entity);
+  }
+
+  let ack = null;
+  if (view.getUint8(offset) === 1) {
+    offset += 1;
+    const seq = view.getUint32(offset);
+    offset += 4;
+    const state = {};
+    ACK_FLOAT_FIELDS.forEach(field => {
+      state[field] = view.getFloat32(offset);
+      offset += 4;
+    });
+    state.grounded = view.getUint8(offset) === 1;
+    ack = { seq, state };
+  }
+
+  return { tick, time, baseTick, entities, ack };
+}
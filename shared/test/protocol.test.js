@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ANIMATION_STATES,
+  quantizeCommand,
+  encodeInput,
+  decodeInput,
+  quantizePosition,
+  dequantizePosition,
+  quantizeYaw,
+  dequantizeYaw,
+  quantizeEntity,
+  dequantizeEntity
+} from '../protocol.js';
+
+test('input commands survive encoding exactly once quantized', () => {
+  const commands = [
+    { seq: 1, moveX: 0.7071, moveZ: -0.7071, dt: 1 / 60, jump: false },
+    { seq: 2, moveX: -1, moveZ: 1, dt: 0.0213, jump: true },
+    { seq: 4294967295, moveX: 0, moveZ: 0, dt: 0.1, jump: false }
+  ].map(quantizeCommand);
+
+  const { ackTick, commands: decoded } = decodeInput(encodeInput(commands, 1234));
+
+  assert.equal(ackTick, 1234);
+  assert.deepEqual(decoded, commands);
+});
+
+test('quantizeCommand clamps directions and durations to the wire range', () => {
+  const command = quantizeCommand({ seq: 1, moveX: 3, moveZ: -3, dt: 10, jump: false });
+  assert.equal(command.moveX, 1);
+  assert.equal(command.moveZ, -1);
+  assert.equal(command.dt, 65535 / 10000);
+
+  const { commands } = decodeInput(encodeInput([command], 0));
+  assert.deepEqual(commands[0], command);
+});
+
+test('decodeInput accepts a Node Buffer as well as an ArrayBuffer', () => {
+  const commands = [quantizeCommand({ seq: 7, moveX: 0.5, moveZ: 0.25, dt: 1 / 60, jump: true })];
+  const { commands: decoded } = decodeInput(Buffer.from(encodeInput(commands, 9)));
+  assert.deepEqual(decoded, commands);
+});
+
+test('decodeInput rejects truncated messages', () => {
+  const buffer = encodeInput([quantizeCommand({ seq: 1, moveX: 0, moveZ: 0, dt: 1 / 60, jump: false })], 0);
+  assert.throws(() => decodeInput(buffer.slice(0, buffer.byteLength - 1)), /length mismatch/);
+});
+
+test('positions outside the int16 range are clamped', () => {
+  assert.equal(quantizePosition(1000), 32767);
+  assert.equal(quantizePosition(-1000), -32768);
+  assert.equal(dequantizePosition(quantizePosition(1000)), 32767 / 256);
+  assert.equal(dequantizePosition(quantizePosition(12.5)), 12.5);
+});
+
+test('yaw wraps around at ±π', () => {
+  assert.equal(quantizeYaw(Math.PI), 32768);
+  assert.equal(quantizeYaw(-Math.PI), 32768);
+  assert.equal(quantizeYaw(0), 0);
+  assert.equal(quantizeYaw(Math.PI * 2), 0);
+  // Just below a full turn rounds up to 65536, which must wrap to 0
+  assert.equal(quantizeYaw(-1e-9), 0);
+
+  const step = (Math.PI * 2) / 65536;
+  assert.ok(Math.abs(dequantizeYaw(quantizeYaw(Math.PI - step)) - (Math.PI - step)) < 1e-9);
+  assert.ok(Math.abs(dequantizeYaw(quantizeYaw(-Math.PI + step)) - (-Math.PI + step)) < 1e-9);
+  assert.ok(Math.abs(dequantizeYaw(quantizeYaw(3 * Math.PI / 2)) - (-Math.PI / 2)) < 1e-9);
+});
+
+test('animation states are sent by their index, including appended ones', () => {
+  ANIMATION_STATES.forEach((state, index) => {
+    const entity = quantizeEntity({ netId: 1, position: { x: 0, y: 0, z: 0 }, rotation: { y: 0 }, animationState: state });
+    assert.equal(entity.animation, index);
+    assert.equal(dequantizeEntity(entity).animationState, state);
+  });
+
+  // The first states keep their wire values, emotes come after them
+  assert.deepEqual(ANIMATION_STATES.slice(0, 3), ['idle', 'walk', 'jump']);
+  assert.equal(ANIMATION_STATES.indexOf('hotspring'), 6);
+});
+
+test('unknown animation states are sent as idle', () => {
+  const entity = quantizeEntity({ netId: 1, position: { x: 0, y: 0, z: 0 }, rotation: { y: 0 }, animationState: 'dance' });
+  assert.equal(entity.animation, 0);
+  assert.equal(dequantizeEntity({ ...entity, animation: 200 }).animationState, 'idle');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeEntity } from '../protocol.js';
+import { encodeSnapshot, decodeSnapshot } from '../snapshotCodec.js';
+
+function entity(netId, x, z, yaw = 0, animationState = 'idle') {
+  return quantizeEntity({ netId, position: { x, y: 0, z }, rotation: { y: yaw }, animationState });
+}
+
+function byNetId(entities) {
+  return new Map(entities.map(e => [e.netId, e]));
+}
+
+const ACK = {
+  seq: 42,
+  state: { x: 1.5, y: 0.25, z: -3.75, vx: 6, vy: -1.5, vz: 0, yaw: 0.5, coyoteTimer: 0.125, jumpBufferTimer: 0, grounded: true }
+};
+
+test('a full snapshot decodes to the encoded entities', () => {
+  const entities = [entity(1, 10, -5, 1, 'walk'), entity(2, -99.5, 99.5, -3, 'sit')];
+  const snapshot = decodeSnapshot(encodeSnapshot({ tick: 7, time: 1700000000123.5, entities, ack: null }));
+
+  assert.equal(snapshot.tick, 7);
+  assert.equal(snapshot.time, 1700000000123.5);
+  assert.equal(snapshot.baseTick, 0);
+  assert.equal(snapshot.ack, null);
+  assert.deepEqual(snapshot.entities, byNetId(entities));
+});
+
+test('the ack block carries the movement state', () => {
+  const { ack } = decodeSnapshot(encodeSnapshot({ tick: 1, time: 0, entities: [], ack: ACK }));
+  // Every value above is exact in float32
+  assert.deepEqual(ack, ACK);
+});
+
+test('a delta only writes changes and marks removed entities', () => {
+  const base = [entity(1, 0, 0), entity(2, 5, 5, 1), entity(3, -5, -5)];
+  const current = [
+    entity(1, 0, 0),                 // unchanged
+    entity(2, 5, 5, 2, 'wave'),      // yaw and animation changed
+    entity(4, 20, 20, 0, 'walk')     // new; 3 was removed
+  ];
+  const baseEntities = byNetId(base);
+
+  const full = encodeSnapshot({ tick: 11, time: 0, entities: current, ack: ACK });
+  const delta = encodeSnapshot({ tick: 11, time: 0, entities: current, ack: ACK }, 10, baseEntities);
+  assert.ok(delta.byteLength < full.byteLength);
+
+  const decoded = decodeSnapshot(delta, tick => (tick === 10 ? baseEntities : null));
+  assert.equal(decoded.baseTick, 10);
+  assert.deepEqual(decoded.entities, byNetId(current));
+  assert.deepEqual(decoded.ack, ACK);
+});
+
+test('decoding a delta does not change the base entities', () => {
+  const baseEntities = byNetId([entity(1, 0, 0)]);
+  const delta = encodeSnapshot({ tick: 2, time: 0, entities: [entity(1, 3, 3)], ack: null }, 1, baseEntities);
+  decodeSnapshot(delta, () => baseEntities);
+  assert.deepEqual(baseEntities.get(1), entity(1, 0, 0));
+});
+
+test('a delta whose base is missing can not be decoded', () => {
+  const baseEntities = byNetId([entity(1, 0, 0)]);
+  const delta = encodeSnapshot({ tick: 6, time: 0, entities: [entity(1, 1, 1)], ack: null }, 5, baseEntities);
+  assert.throws(() => decodeSnapshot(delta), /Missing base snapshot 5/);
+  assert.throws(() => decodeSnapshot(delta, () => null), /Missing base snapshot 5/);
+});
+
+test('snapshots sent as Node Buffers decode the same', () => {
+  const entities = [entity(9, 1, 2, 0.5, 'hotspring')];
+  const snapshot = decodeSnapshot(Buffer.from(encodeSnapshot({ tick: 3, time: 0, entities, ack: null })));
+  assert.deepEqual(snapshot.entities, byNetId(entities));
+});
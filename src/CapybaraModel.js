@@ -0,0 +1,137 @@
+/**
+ * CapybaraModel.js
+ * Loads the capybara GLB and its separate animation clips once,
+ * and creates independent copies of the character for each player
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinnedModel } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { CHARACTER_ASSETS } from './config.js';
+
+// Height of the capybara in world units after normalization
+const MODEL_HEIGHT = 1.0;
+
+// Shared loading promise so the files are only downloaded once
+let assetsPromise = null;
+
+/**
+ * Load a single animation file, resolving to null if it is missing
+ */
+async function loadAnimationClip(loader, name, url) {
+  try {
+    const gltf = await loader.loadAsync(url);
+    if (!gltf.animations.length) {
+      console.warn(`CapybaraModel: ${url} contains no animation clips`);
+      return null;
+    }
+    const clip = gltf.animations[0];
+    clip.name = name;
+    return clip;
+  } catch (error) {
+    console.warn(`CapybaraModel: Animation "${name}" not available (${url})`, error);
+    return null;
+  }
+}
+
+/**
+ * Retarget a clip from a separate animation file onto the character model
+ * The files share the same rig, so tracks are bound by bone name; tracks for
+ * bones the model doesn't have are dropped and the root is kept in place
+ * @param {THREE.AnimationClip} clip - Clip loaded from an animation file
+ * @param {THREE.Object3D} model - Character scene the clip will play on
+ * @returns {THREE.AnimationClip} Clip that can be played by an AnimationMixer on the model
+ */
+export function retargetClip(clip, model) {
+  const tracks = [];
+
+  clip.tracks.forEach(track => {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+    const node = model.getObjectByName(nodeName);
+    if (!node) return;
+
+    const retargeted = track.clone();
+
+    // Pin the root bone to the model's rest position so only the controller moves the character
+    if (nodeName === 'root' && propertyName === 'position') {
+      const values = retargeted.values;
+      for (let i = 0; i < values.length; i += 3) {
+        node.position.toArray(values, i);
+      }
+    }
+
+    tracks.push(retargeted);
+  });
+
+  return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
+
+/**
+ * Scale the model to MODEL_HEIGHT and move its feet to the origin
+ */
+function normalizeModel(model) {
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+
+  if (size.y > 0) {
+    model.scale.multiplyScalar(MODEL_HEIGHT / size.y);
+    box.setFromObject(model);
+  }
+
+  model.position.y -= box.min.y;
+
+  model.traverse(obj => {
+    if (obj.isMesh) {
+      obj.castShadow = true;
+      obj.receiveShadow = true;
+    }
+  });
+}
+
+/**
+ * Load the capybara model and all animation clips
+ * @returns {Promise<Object>} { model, clips } where missing clips are null
+ */
+export function loadCapybaraAssets() {
+  if (assetsPromise) return assetsPromise;
+
+  assetsPromise = (async () => {
+    const loader = new GLTFLoader();
+    const gltf = await loader.loadAsync(CHARACTER_ASSETS.model);
+    const model = gltf.scene;
+    normalizeModel(model);
+
+    const clips = {};
+    const entries = Object.entries(CHARACTER_ASSETS.animations);
+    const loaded = await Promise.all(entries.map(([name, url]) => loadAnimationClip(loader, name, url)));
+
+    entries.forEach(([name], index) => {
+      clips[name] = loaded[index] ? retargetClip(loaded[index], model) : null;
+    });
+
+    console.log('CapybaraModel: Loaded animations:',
+      Object.keys(clips).filter(name => clips[name]).join(', ') || 'none');
+
+    return { model, clips };
+  })();
+
+  // Allow a later retry if loading failed
+  assetsPromise.catch(() => {
+    assetsPromise = null;
+  });
+
+  return assetsPromise;
+}
+
+/**
+ * Create a new capybara instance from loaded assets
+ * Skinned meshes need SkeletonUtils to get their own skeleton per copy
+ * @param {Object} assets - Result of loadCapybaraAssets()
+ * @returns {THREE.Group} Container whose origin is at the capybara's feet
+ */
+export function createCapybara(assets) {
+  const container = new THREE.Group();
+  container.name = 'capybara';
+  container.add(cloneSkinnedModel(assets.model));
+  return container;
+}
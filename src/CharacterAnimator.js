@@ -0,0 +1,119 @@
+/**
+ * CharacterAnimator.js
+ * Idle/walk/jump and emote animation state machine for a capybara instance
+ */
+
+import * as THREE from 'three';
+import { MOVEMENT, getAnimationState } from '../shared/movement.js';
+
+// Clip to use when a state's own clip is missing, before falling back to idle
+const STATE_FALLBACKS = {
+  jump: 'walk',
+  sleep: 'sit',
+  hotspring: 'sit'
+};
+
+class CharacterAnimator {
+  /**
+   * Create a new CharacterAnimator
+   * @param {THREE.Object3D} model - Character instance the clips play on
+   * @param {Object} clips - Animation clips by state name, missing clips are null
+   * @param {Object} options - Configuration options
+   * @param {number} options.crossFadeDuration - Seconds to blend between states (default: 0.2)
+   */
+  constructor(model, clips, options = {}) {
+    this.options = {
+      crossFadeDuration: options.crossFadeDuration || 0.2
+    };
+
+    this.mixer = new THREE.AnimationMixer(model);
+    this.actions = {};
+    this.state = null;
+    this.currentAction = null;
+
+    Object.entries(clips).forEach(([name, clip]) => {
+      if (clip) {
+        this.actions[name] = this.mixer.clipAction(clip);
+      }
+    });
+
+    // Jumping is a single motion, not a loop
+    if (this.actions.jump) {
+      this.actions.jump.setLoop(THREE.LoopOnce, 1);
+      this.actions.jump.clampWhenFinished = true;
+    }
+
+    this.setState('idle');
+  }
+
+  /**
+   * Pick the action for a state, falling back when a clip is missing
+   * (as documented in public/animations/README.txt)
+   */
+  getActionForState(state) {
+    if (this.actions[state]) return this.actions[state];
+    const fallback = STATE_FALLBACKS[state];
+    if (fallback && this.actions[fallback]) return this.actions[fallback];
+    return this.actions.idle || null;
+  }
+
+  /**
+   * Switch to a new state with a crossfade from the current action
+   * @param {string} state - 'idle', 'walk', 'jump' or an emote (shared/protocol.js ANIMATION_STATES)
+   */
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+
+    const nextAction = this.getActionForState(state);
+    if (!nextAction || nextAction === this.currentAction) return;
+
+    nextAction.reset();
+    nextAction.setEffectiveWeight(1);
+    nextAction.play();
+
+    if (this.currentAction) {
+      this.currentAction.crossFadeTo(nextAction, this.options.crossFadeDuration, false);
+    }
+
+    this.currentAction = nextAction;
+  }
+
+  /**
+   * Determine the state from ground contact and speed
+   * @param {boolean} grounded - Whether the character is on the ground
+   * @param {number} speed - Horizontal speed in units per second
+   */
+  resolveState(grounded, speed) {
+    return getAnimationState(grounded, speed);
+  }
+
+  /**
+   * Main update method called from animation loop
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {Object} movement - { grounded, speed } of the character, or { state, speed }
+   *                            when the state is already known (remote players)
+   */
+  update(deltaTime, movement) {
+    this.setState(movement.state || this.resolveState(movement.grounded, movement.speed));
+
+    // Match the walk cycle to how fast the character actually moves
+    if (this.currentAction && this.state === 'walk') {
+      this.currentAction.timeScale = Math.max(0.5, movement.speed / MOVEMENT.walkSpeed);
+    } else if (this.currentAction) {
+      this.currentAction.timeScale = 1;
+    }
+
+    this.mixer.update(deltaTime);
+  }
+
+  /**
+   * Stop all actions and release cached animation data
+   */
+  dispose() {
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.mixer.getRoot());
+  }
+}
+
+export default CharacterAnimator;
@@ -0,0 +1,245 @@
+import {
+  createMovementState,
+  cameraRelativeDirection,
+  stepMovement,
+  moveOnFlatGround,
+  getHorizontalSpeed
+} from '../shared/movement.js';
+
+/**
+ * CharacterController
+ * Moves the player capsule with Rapier's kinematic character controller
+ * and keeps the character mesh in sync with it. The movement rules themselves
+ * live in shared/movement.js so the server simulates players the same way;
+ * in multiplayer the collisions are the server's too (setServerMovement).
+ */
+class CharacterController {
+  /**
+   * Create a new CharacterController
+   * @param {Object} rapier - Initialized RAPIER module (null in fallback mode)
+   * @param {Object} world - Rapier physics world (null in fallback mode)
+   * @param {THREE.Object3D} mesh - Character mesh to move, its origin is at the feet
+   * @param {Object} options - Configuration options
+   * @param {number} options.turnSpeed - How quickly the mesh turns to face movement (default: 12)
+   * @param {number} options.correctionSpeed - How quickly the mesh absorbs server corrections (default: 10)
+   */
+  constructor(rapier, world, mesh, options = {}) {
+    this.rapier = rapier;
+    this.world = world;
+    this.mesh = mesh;
+
+    // Store options with defaults
+    this.options = {
+      turnSpeed: options.turnSpeed || 12,
+      correctionSpeed: options.correctionSpeed || 10,
+      capsuleHalfHeight: options.capsuleHalfHeight || 0.4,
+      capsuleRadius: options.capsuleRadius || 0.4,
+      maxSlopeClimbAngle: options.maxSlopeClimbAngle || 45 * Math.PI / 180,
+      minSlopeSlideAngle: options.minSlopeSlideAngle || 30 * Math.PI / 180,
+      stepHeight: options.stepHeight || 0.35,
+      stepMinWidth: options.stepMinWidth || 0.2,
+      snapToGroundDistance: options.snapToGroundDistance || 0.3
+    };
+
+    // Movement state (position, velocity, jump timers)
+    this.state = createMovementState(mesh.position, mesh.rotation.y);
+
+    // Visual offset of the mesh from the state, left by reconciliation and decayed each frame
+    this.correction = { x: 0, y: 0, z: 0 };
+
+    // Distance from the capsule center down to the feet
+    this.footOffset = this.options.capsuleHalfHeight + this.options.capsuleRadius;
+
+    // Physics objects (only when Rapier is available)
+    this.collider = null;
+    this.controller = null;
+
+    if (this.rapier && this.world) {
+      this.createPhysicsCharacter();
+    }
+
+    // Collision resolver handed to the shared movement rules
+    this.resolveMovement = this.controller ? this.moveWithPhysics.bind(this) : moveOnFlatGround;
+    this.serverMovement = false;
+
+    console.log(`CharacterController initialized (physics: ${!!this.controller})`);
+  }
+
+  /**
+   * Create the capsule collider and configure Rapier's character controller
+   */
+  createPhysicsCharacter() {
+    const { capsuleHalfHeight, capsuleRadius } = this.options;
+    const start = this.mesh.position;
+
+    // The character is moved directly, so the collider does not need a rigid body
+    const colliderDesc = this.rapier.ColliderDesc.capsule(capsuleHalfHeight, capsuleRadius)
+      .setTranslation(start.x, start.y + this.footOffset, start.z);
+    this.collider = this.world.createCollider(colliderDesc);
+
+    // Small skin offset keeps the capsule from getting stuck in the ground
+    this.controller = this.world.createCharacterController(0.01);
+    this.controller.setUp({ x: 0, y: 1, z: 0 });
+    this.controller.setMaxSlopeClimbAngle(this.options.maxSlopeClimbAngle);
+    this.controller.setMinSlopeSlideAngle(this.options.minSlopeSlideAngle);
+    this.controller.enableAutostep(this.options.stepHeight, this.options.stepMinWidth, false);
+    this.controller.enableSnapToGround(this.options.snapToGroundDistance);
+    this.controller.setSlideEnabled(true);
+  }
+
+  /**
+   * Collision resolver using Rapier: move the capsule by the desired translation
+   * @returns {boolean} True if the character ended up on the ground
+   */
+  moveWithPhysics(state, desired) {
+    this.collider.setTranslation({ x: state.x, y: state.y + this.footOffset, z: state.z });
+    this.controller.computeColliderMovement(this.collider, desired);
+    const corrected = this.controller.computedMovement();
+
+    state.x += corrected.x;
+    state.y += corrected.y;
+    state.z += corrected.z;
+    this.collider.setTranslation({ x: state.x, y: state.y + this.footOffset, z: state.z });
+
+    return this.controller.computedGrounded();
+  }
+
+  /**
+   * Predict movement exactly as the server simulates it: the shared flat
+   * ground instead of Rapier, whose skin offset and ground snapping would
+   * leave the prediction a little off and corrected on every snapshot. The
+   * capsule still follows the character for the rest of the physics world.
+   * @param {boolean} enabled - True while the server is authoritative
+   */
+  setServerMovement(enabled) {
+    this.serverMovement = enabled;
+    this.resolveMovement = this.controller && !enabled ? this.moveWithPhysics.bind(this) : moveOnFlatGround;
+  }
+
+  /**
+   * Turn raw input into a movement command with a camera-relative direction
+   * @param {Object} input - Object with forward, right and jump properties
+   * @param {number} cameraAngle - ThirdPersonCamera.horizontalAngle
+   * @param {number} deltaTime - Seconds the command covers
+   */
+  createCommand(input, cameraAngle, deltaTime) {
+    const direction = cameraRelativeDirection(input.forward, input.right, cameraAngle);
+    return {
+      moveX: direction.x,
+      moveZ: direction.z,
+      jump: !!input.jump,
+      dt: deltaTime
+    };
+  }
+
+  /**
+   * Apply a movement command to the character
+   */
+  applyCommand(command) {
+    stepMovement(this.state, command, this.resolveMovement);
+    if (this.serverMovement) {
+      this.syncCollider();
+    }
+  }
+
+  /**
+   * Replace the movement state, e.g. with the server's authoritative state
+   * @param {Object} state - Movement state as created by createMovementState
+   */
+  setState(state) {
+    Object.assign(this.state, state);
+    this.syncCollider();
+  }
+
+  /**
+   * Move the capsule to the movement state
+   */
+  syncCollider() {
+    if (this.collider) {
+      this.collider.setTranslation({ x: this.state.x, y: this.state.y + this.footOffset, z: this.state.z });
+    }
+  }
+
+  /**
+   * Offset the mesh by a correction that fades out over the next frames
+   * @param {Object} offset - { x, y, z } from the corrected to the previously shown position
+   */
+  addCorrection(offset) {
+    this.correction.x += offset.x;
+    this.correction.y += offset.y;
+    this.correction.z += offset.z;
+  }
+
+  /**
+   * Drop any pending visual correction
+   */
+  clearCorrection() {
+    this.correction.x = 0;
+    this.correction.y = 0;
+    this.correction.z = 0;
+  }
+
+  /**
+   * Move the mesh to the movement state and turn it smoothly towards its facing
+   */
+  syncMesh(deltaTime) {
+    // Frame-rate independent exponential decay of the correction
+    const decay = Math.exp(-this.options.correctionSpeed * deltaTime);
+    this.correction.x *= decay;
+    this.correction.y *= decay;
+    this.correction.z *= decay;
+
+    this.mesh.position.set(
+      this.state.x + this.correction.x,
+      this.state.y + this.correction.y,
+      this.state.z + this.correction.z
+    );
+
+    // Take the shortest way around the circle
+    let difference = this.state.yaw - this.mesh.rotation.y;
+    difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+    this.mesh.rotation.y += difference * Math.min(1, this.options.turnSpeed * deltaTime);
+  }
+
+  /**
+   * Main update method called from animation loop
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {Object} input - Object with forward, right and jump properties
+   * @param {number} cameraAngle - ThirdPersonCamera.horizontalAngle
+   * @returns {Object} The movement command that was applied
+   */
+  update(deltaTime, input, cameraAngle = 0) {
+    const command = this.createCommand(input, cameraAngle, deltaTime);
+    this.applyCommand(command);
+    this.syncMesh(deltaTime);
+    return command;
+  }
+
+  /**
+   * Whether the character is standing on the ground
+   */
+  get isGrounded() {
+    return this.state.grounded;
+  }
+
+  /**
+   * Get the current horizontal speed in units per second
+   */
+  getHorizontalSpeed() {
+    return getHorizontalSpeed(this.state);
+  }
+
+  /**
+   * Remove the collider and controller from the physics world
+   */
+  dispose() {
+    if (this.world && this.controller) {
+      this.world.removeCharacterController(this.controller);
+      this.world.removeCollider(this.collider, false);
+    }
+    this.controller = null;
+    this.collider = null;
+  }
+}
+
+export default CharacterController;
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import { EMOTE_LABELS } from './utils/EmoteMenu.js';
+
+// Height of the labels above a player's feet (capybaras are 1 unit tall, CapybaraModel.js)
+const LABEL_HEIGHT = 1.4;
+
+// Labels are full size up to NEAR_DISTANCE, then shrink and fade out until FAR_DISTANCE
+const NEAR_DISTANCE = 8;
+const FAR_DISTANCE = 40;
+const MIN_SCALE = 0.6;
+
+// How long a chat line stays above a player, and how many are shown at once
+const BUBBLE_DURATION = 6;
+const MAX_BUBBLE_LINES = 3;
+
+// Seconds between occlusion checks of a label, raycasts are too costly every frame
+const OCCLUSION_CHECK_INTERVAL = 0.2;
+
+/**
+ * Name tags, chat speech bubbles and emote icons drawn as HTML above the
+ * players, with CSS2DRenderer on top of the WebGL canvas
+ */
+class PlayerLabels {
+  /**
+   * @param {THREE.Camera} camera - Camera the labels are faded and occlusion checked against
+   */
+  constructor(camera) {
+    this.camera = camera;
+    this.labels = new Map();
+
+    // Objects that hide labels behind them, e.g. terrain and trees
+    this.occluders = [];
+    this.raycaster = new THREE.Raycaster();
+
+    this.renderer = new CSS2DRenderer();
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    // Clicks go through to the canvas underneath (pointer lock, mobile controls)
+    this.renderer.domElement.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      pointer-events: none;
+      font-family: Arial, sans-serif;
+    `;
+    document.body.appendChild(this.renderer.domElement);
+
+    this.cameraPosition = new THREE.Vector3();
+    this.labelPosition = new THREE.Vector3();
+  }
+
+  /**
+   * Show a name tag above a player
+   * @param {string} id - Player id
+   * @param {string} name - Display name
+   * @param {THREE.Object3D} object - The player's model or its container
+   * @param {Object} options
+   * @param {boolean} options.showName - False to only show speech bubbles, e.g. for the local player
+   */
+  addPlayer(id, name, object, { showName = true } = {}) {
+    this.removePlayer(id);
+
+    const element = document.createElement('div');
+    element.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      transform-origin: bottom center;
+      transition: opacity 0.2s;
+    `;
+
+    const bubble = document.createElement('div');
+    bubble.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 3px;
+      margin-bottom: 4px;
+    `;
+
+    // Icon of the emote being played, so it shows without an animation clip
+    const emoteIcon = document.createElement('div');
+    emoteIcon.style.cssText = `
+      display: none;
+      font-size: 24px;
+      line-height: 1;
+      margin-bottom: 2px;
+    `;
+
+    const nameTag = document.createElement('div');
+    nameTag.textContent = name;
+    nameTag.style.cssText = `
+      display: ${showName ? 'block' : 'none'};
+      padding: 2px 6px;
+      border-radius: 3px;
+      background-color: rgba(0, 0, 0, 0.45);
+      color: white;
+      font-size: 13px;
+      white-space: nowrap;
+    `;
+
+    element.appendChild(bubble);
+    element.appendChild(emoteIcon);
+    element.appendChild(nameTag);
+
+    // CSS2DRenderer centres the wrapper on the anchor and owns its transform;
+    // update() moves the label up so its bottom sits on the anchor instead
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(element);
+
+    const anchor = new CSS2DObject(wrapper);
+    anchor.position.set(0, LABEL_HEIGHT, 0);
+    object.add(anchor);
+
+    this.labels.set(id, {
+      object,
+      anchor,
+      element,
+      bubble,
+      emoteIcon,
+      emote: null,
+      lines: [],
+      occluded: false,
+      // Spread the raycasts of different labels over frames
+      nextOcclusionCheck: Math.random() * OCCLUSION_CHECK_INTERVAL
+    });
+  }
+
+  /**
+   * Remove a player's labels
+   */
+  removePlayer(id) {
+    const label = this.labels.get(id);
+    if (!label) return;
+    label.object.remove(label.anchor);
+    // CSS2DRenderer doesn't remove elements of objects that left the scene
+    label.anchor.element.remove();
+    this.labels.delete(id);
+  }
+
+  /**
+   * Show a chat line in a player's speech bubble for a few seconds
+   */
+  showMessage(id, text) {
+    const label = this.labels.get(id);
+    if (!label) return;
+
+    const line = document.createElement('div');
+    // Player text is only ever set as text, never as HTML
+    line.textContent = text;
+    line.style.cssText = `
+      max-width: 220px;
+      padding: 4px 8px;
+      border-radius: 8px;
+      background-color: rgba(255, 255, 255, 0.9);
+      color: #222;
+      font-size: 13px;
+      text-align: center;
+      overflow-wrap: break-word;
+      transition: opacity 0.5s;
+    `;
+    label.bubble.appendChild(line);
+    label.lines.push({ element: line, age: 0 });
+
+    while (label.lines.length > MAX_BUBBLE_LINES) {
+      label.lines.shift().element.remove();
+    }
+  }
+
+  /**
+   * Show the icon of the emote a player is playing
+   * @param {string} id - Player id
+   * @param {string|null} emote - One of EMOTES in shared/protocol.js, or null for none
+   */
+  setEmote(id, emote) {
+    const label = this.labels.get(id);
+    if (!label || label.emote === emote) return;
+    label.emote = emote;
+
+    const emoteLabel = emote && EMOTE_LABELS[emote];
+    label.emoteIcon.textContent = emoteLabel ? emoteLabel.icon : '';
+    label.emoteIcon.title = emoteLabel ? emoteLabel.title : '';
+    label.emoteIcon.style.display = emoteLabel ? 'block' : 'none';
+  }
+
+  /**
+   * Set the objects that hide labels behind them
+   * @param {THREE.Object3D[]} objects - Checked with their children
+   */
+  setOccluders(objects) {
+    this.occluders = objects;
+  }
+
+  /**
+   * Age speech bubbles and fade, scale and hide labels for the camera
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    this.camera.getWorldPosition(this.cameraPosition);
+
+    this.labels.forEach(label => {
+      // Chat lines fade out over their last second
+      label.lines = label.lines.filter(line => {
+        line.age += deltaTime;
+        if (line.age >= BUBBLE_DURATION) {
+          line.element.remove();
+          return false;
+        }
+        line.element.style.opacity = Math.min(1, BUBBLE_DURATION - line.age);
+        return true;
+      });
+
+      label.anchor.getWorldPosition(this.labelPosition);
+      const distance = this.labelPosition.distanceTo(this.cameraPosition);
+
+      label.nextOcclusionCheck -= deltaTime;
+      if (label.nextOcclusionCheck <= 0) {
+        label.nextOcclusionCheck = OCCLUSION_CHECK_INTERVAL;
+        label.occluded = this.isOccluded(this.labelPosition, distance);
+      }
+
+      const t = THREE.MathUtils.clamp((distance - NEAR_DISTANCE) / (FAR_DISTANCE - NEAR_DISTANCE), 0, 1);
+      label.anchor.visible = t < 1;
+      label.element.style.opacity = label.occluded ? 0 : 1 - t * t;
+      label.element.style.transform = `translateY(-50%) scale(${1 - t * (1 - MIN_SCALE)})`;
+    });
+  }
+
+  /**
+   * Check whether an occluder is between the camera and a point
+   */
+  isOccluded(position, distance) {
+    if (this.occluders.length === 0) return false;
+    const direction = position.clone().sub(this.cameraPosition).normalize();
+    this.raycaster.set(this.cameraPosition, direction);
+    this.raycaster.far = distance;
+    return this.raycaster.intersectObjects(this.occluders, true).length > 0;
+  }
+
+  /**
+   * Position the labels, call after rendering the scene
+   */
+  render(scene) {
+    this.renderer.render(scene, this.camera);
+  }
+
+  setSize(width, height) {
+    this.renderer.setSize(width, height);
+  }
+}
+
+export default PlayerLabels;
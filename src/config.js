@@ -1,5 +1,7 @@
 // Configuration settings for the Capyverse game
 
+import { normalizeConditions } from '../shared/networkConditions.js';
+
 // Determine the WebSocket server URL based on environment
 const getServerUrl = () => {
   // When running in production (Render.com), use the deployed URL
@@ -33,5 +35,48 @@ const getWasmConfig = () => {
   };
 };
 
+// Paths to the character model and its animation clips (served from /public)
+const getCharacterAssets = () => {
+  const baseUrl = import.meta.env.BASE_URL || '/';
+  
+  return {
+    model: `${baseUrl}character/capybara.glb`,
+    animations: {
+      idle: `${baseUrl}animations/idle.glb`,
+      walk: `${baseUrl}animations/walk.glb`,
+      jump: `${baseUrl}animations/jump.glb`,
+      // Emotes (shared/protocol.js EMOTES) have no clips yet and show their
+      // icon above the player; add e.g. wave: `${baseUrl}animations/wave.glb`
+      // here once public/animations has one
+    },
+  };
+};
+
+// Room to join, from the page URL (?room=name); the server picks the default room if empty
+const getRequestedRoom = () => {
+  const room = new URLSearchParams(window.location.search).get('room');
+  return room ? room.trim() : null;
+};
+
+// Watch a session recording instead of playing (?replay), see ReplayViewer.js
+const isReplayMode = () => new URLSearchParams(window.location.search).has('replay');
+
+// Simulated network conditions for development, from the page URL
+// (?latency=150&jitter=30&loss=0.05&bandwidth=512); null in production builds
+const getNetworkConditions = () => {
+  if (!import.meta.env.DEV) return null;
+  const params = new URLSearchParams(window.location.search);
+  return normalizeConditions({
+    latency: params.get('latency'),
+    jitter: params.get('jitter'),
+    loss: params.get('loss'),
+    bandwidth: params.get('bandwidth'),
+  });
+};
+
 export const SERVER_URL = getServerUrl();
-export const WASM_CONFIG = getWasmConfig(); 
\ No newline at end of file
+export const REQUESTED_ROOM = getRequestedRoom();
+export const WASM_CONFIG = getWasmConfig();
+export const CHARACTER_ASSETS = getCharacterAssets();
+export const NETWORK_CONDITIONS = getNetworkConditions();
+export const REPLAY_MODE = isReplayMode();
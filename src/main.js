@@ -2,17 +2,19 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import RAPIER from '@dimforge/rapier3d';
-import { WASM_CONFIG } from './config.js';
+import { WASM_CONFIG, REPLAY_MODE } from './config.js';
 
 // Global variables
 let scene, camera, renderer, controls;
-let character, thirdPersonCamera;
+let character, thirdPersonCamera, characterController, characterAnimator;
 let inputManager;
+let multiplayer, replayViewer, playerLabels;
 let world;
 let rapier;
 let physicsInitialized = false;
 let rapierLoadAttempts = 0;
 let sceneInitialized = false;
+let clock;
 let config = {
   physics: {
     gravity: -9.8,
@@ -30,8 +32,9 @@ async function initRapier() {
     console.log(`Attempting to load RAPIER WASM (Attempt ${rapierLoadAttempts}/${WASM_CONFIG.maxRetries})`);
     if (isMobileDevice()) logToDebugPanel(`Loading RAPIER WASM (Attempt ${rapierLoadAttempts})`, 'info');
     
-    // Initialize with explicit WASM file path
-    rapier = await RAPIER.init({
+    // The bundled build instantiates its WASM on import and has no init(),
+    // the compat build needs an explicit WASM file path
+    rapier = typeof RAPIER.init !== 'function' ? RAPIER : await RAPIER.init({
       // Explicitly tell Rapier where to find the WASM file
       locateFile: (path) => {
         console.log(`Looking for WASM file: ${path} in ${WASM_CONFIG.wasmPath}`);
@@ -87,8 +90,9 @@ async function initPhysics() {
       // Create a physics world with gravity from config
       world = new rapier.World({ x: 0.0, y: config.physics.gravity, z: 0.0 });
       
-      // Ground
+      // Ground, with its top surface at y = 0 like the server's flat ground
       const groundColliderDesc = rapier.ColliderDesc.cuboid(100.0, 0.1, 100.0)
+        .setTranslation(0.0, -0.1, 0.0)
         .setFriction(config.physics.friction)
         .setRestitution(config.physics.restitution);
       world.createCollider(groundColliderDesc);
@@ -155,9 +159,12 @@ import NatureEnvironment from './NatureEnvironment.js';
 import { isMobileDevice, getMobileDeviceInfo, getDeviceOrientation, addOrientationChangeListener } from './utils/DeviceDetector.js';
 import MobileJoystick from './utils/MobileControls.js';
 import { initMobileDebugger, logToDebugPanel } from './utils/MobileDebugger.js';
-import PlayerNameModal from './utils/PlayerNameModal.js';
-import { io } from 'socket.io-client';
-import { SERVER_URL } from './config.js';
+import CharacterController from './CharacterController.js';
+import CharacterAnimator from './CharacterAnimator.js';
+import { loadCapybaraAssets, createCapybara } from './CapybaraModel.js';
+import MultiplayerSession from './network/MultiplayerSession.js';
+import ReplayViewer from './network/ReplayViewer.js';
+import PlayerLabels from './PlayerLabels.js';
 
 // Initialize the scene, camera, and renderer
 function initThreeJS() {
@@ -191,10 +198,27 @@ function initThreeJS() {
   return true;
 }
 
+// Load the capybara model with its animations, falling back to a box if it can't be loaded
+async function createCharacter() {
+  try {
+    const assets = await loadCapybaraAssets();
+    character = createCapybara(assets);
+    character.position.set(0, 1, 0);
+    scene.add(character);
+    characterAnimator = new CharacterAnimator(character, assets.clips);
+    return character;
+  } catch (error) {
+    console.error('Error loading capybara model, using placeholder:', error);
+    if (isMobileDevice()) logToDebugPanel(`Capybara model failed to load: ${error.message}`, 'error');
+    return createSimpleCharacter();
+  }
+}
+
 // Create a simple box as a character placeholder
 function createSimpleCharacter() {
   const geometry = new THREE.BoxGeometry(1, 2, 1);
   const material = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown color
+  geometry.translate(0, 1, 0); // Put the origin at the feet like the physics controller expects
   character = new THREE.Mesh(geometry, material);
   character.position.set(0, 1, 0);
   character.castShadow = true;
@@ -237,27 +261,68 @@ function onWindowResize() {
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
   }
+  if (playerLabels) {
+    playerLabels.setSize(window.innerWidth, window.innerHeight);
+  }
 }
 
 // Animation loop
 function animate() {
   requestAnimationFrame(animate);
   
+  // Clamp the frame time so a backgrounded tab doesn't launch the character
+  const deltaTime = Math.min(clock.getDelta(), 0.1);
+  
   // Update physics if initialized
   if (physicsInitialized && world) {
     world.step();
-    // Would normally update character position based on physics here
+  }
+  
+  // Move the character relative to where the camera is looking; while online
+  // the command is predicted locally and sent to the server to be confirmed
+  if (characterController && inputManager && !replayViewer) {
+    const cameraAngle = thirdPersonCamera ? thirdPersonCamera.horizontalAngle : 0;
+    const input = inputManager.getMovementInput();
+    if (multiplayer && multiplayer.isJoined()) {
+      multiplayer.sendMovement(input, cameraAngle, deltaTime);
+      characterController.syncMesh(deltaTime);
+    } else {
+      characterController.update(deltaTime, input, cameraAngle);
+    }
+  }
+  
+  // Pick idle/walk/jump from what the controller just did, or the emote we are playing
+  if (characterAnimator && characterController) {
+    const grounded = characterController.isGrounded;
+    const speed = characterController.getHorizontalSpeed();
+    characterAnimator.update(deltaTime, {
+      state: multiplayer ? multiplayer.getAnimationState(grounded, speed) : null,
+      grounded,
+      speed
+    });
+  }
+  
+  // Move everyone else
+  if (multiplayer) {
+    multiplayer.update(deltaTime);
+  }
+  if (replayViewer) {
+    replayViewer.update(deltaTime);
   }
   
   // Update third-person camera if available
   if (thirdPersonCamera) {
-    thirdPersonCamera.update();
+    thirdPersonCamera.update(deltaTime, inputManager ? inputManager.getMouseMovement() : null);
   }
   
-  // Render scene
+  // Render scene, then place the name tags and speech bubbles on top
   if (scene && camera && renderer) {
     renderer.render(scene, camera);
   }
+  if (playerLabels) {
+    playerLabels.update(deltaTime);
+    playerLabels.render(scene);
+  }
 }
 
 // Main application initialization
@@ -288,22 +353,41 @@ async function initApplication(fallbackMode = false) {
   }
   
   // Create ground and lighting regardless of physics
-  createGround();
+  const ground = createGround();
   setupLighting();
   
-  // Create a simple character
-  const characterObj = createSimpleCharacter();
+  // Name tags and speech bubbles, hidden when the ground is between them and the camera
+  playerLabels = new PlayerLabels(camera);
+  playerLabels.setOccluders([ground]);
+  
+  // Create the player's capybara
+  const characterObj = await createCharacter();
   
   // Initialize input manager
   inputManager = new InputManager(renderer.domElement);
   
+  // Drive the character with Rapier, or with simple flat-ground movement in fallback mode
+  characterController = new CharacterController(physicsInitialized ? rapier : null, world, characterObj);
+  
   // Initialize third-person camera
   thirdPersonCamera = new ThirdPersonCamera(camera, characterObj);
   
   // Start animation loop
   sceneInitialized = true;
+  clock = new THREE.Clock();
   animate();
   
+  if (REPLAY_MODE) {
+    // Watch a recorded session: only the recorded capybaras are shown
+    characterObj.visible = false;
+    replayViewer = new ReplayViewer(scene, thirdPersonCamera, playerLabels);
+    replayViewer.start();
+  } else {
+    // Ask for a name, then join the multiplayer server
+    multiplayer = new MultiplayerSession(scene, characterController, inputManager, playerLabels);
+    multiplayer.start();
+  }
+  
   console.log("Application initialization complete!");
   return true;
 }
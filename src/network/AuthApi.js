@@ -0,0 +1,81 @@
+/**
+ * AuthApi.js
+ * Guest and named accounts on the server's /auth endpoints. The token they
+ * hand out is kept in localStorage and sent with the socket handshake.
+ */
+
+// localStorage key of the signed account token
+const AUTH_TOKEN_KEY = 'capyverse.authToken';
+
+/**
+ * Token from an earlier session, or null
+ */
+export function loadAuthToken() {
+  // localStorage isn't available everywhere (e.g. some private browsing modes)
+  try {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+export function saveAuthToken(token) {
+  try {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } catch (error) {
+    console.warn('AuthApi: Could not store account token, progress will not be kept');
+  }
+}
+
+export function clearAuthToken() {
+  try {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  } catch (error) {
+    // Nothing stored then
+  }
+}
+
+/**
+ * POST to an auth endpoint
+ * @returns {Promise<Object>} { token, account }
+ * @throws {Error} With the server's error code in error.code
+ */
+async function post(serverUrl, path, body, token = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${serverUrl}/auth/${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body || {})
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.message || `Request failed (${response.status})`);
+    error.code = data.error || 'request_failed';
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Create a new guest account
+ */
+export function requestGuestAccount(serverUrl) {
+  return post(serverUrl, 'guest');
+}
+
+/**
+ * Give the guest account of a token a username and password
+ */
+export function upgradeAccount(serverUrl, token, username, password) {
+  return post(serverUrl, 'upgrade', { username, password }, token);
+}
+
+/**
+ * Log in to a named account
+ */
+export function login(serverUrl, username, password) {
+  return post(serverUrl, 'login', { username, password });
+}
@@ -0,0 +1,86 @@
+/**
+ * LocalPrediction.js
+ * Client-side prediction for the local player: commands are applied immediately,
+ * kept until the server acknowledges them, and replayed on top of every
+ * authoritative state the server sends back
+ */
+
+// Unacknowledged commands kept for replay (about 5 seconds at 60fps)
+const MAX_PENDING_COMMANDS = 300;
+
+class LocalPrediction {
+  /**
+   * Create a new LocalPrediction
+   * @param {CharacterController} controller - Controller of the local character
+   * @param {Object} options - Configuration options
+   * @param {number} options.snapDistance - Corrections larger than this are applied instantly instead of smoothed (default: 3)
+   */
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.options = {
+      snapDistance: options.snapDistance || 3
+    };
+
+    this.pendingCommands = [];
+    this.nextSequence = 1;
+  }
+
+  /**
+   * Number a command and apply it to the local character right away
+   * @param {Object} command - Movement command from CharacterController.createCommand
+   * @returns {Object} The command with its sequence number, ready to send
+   */
+  predict(command) {
+    command.seq = this.nextSequence++;
+    this.controller.applyCommand(command);
+
+    this.pendingCommands.push(command);
+    if (this.pendingCommands.length > MAX_PENDING_COMMANDS) {
+      this.pendingCommands.shift();
+    }
+
+    return command;
+  }
+
+  /**
+   * Rewind to the server's state for the last processed command and replay the rest
+   * @param {number} acknowledgedSequence - Sequence number of the last command the server simulated
+   * @param {Object} serverState - Authoritative movement state after that command
+   */
+  reconcile(acknowledgedSequence, serverState) {
+    this.pendingCommands = this.pendingCommands.filter(command => command.seq > acknowledgedSequence);
+
+    const predicted = this.controller.state;
+    const before = { x: predicted.x, y: predicted.y, z: predicted.z };
+
+    this.controller.setState(serverState);
+    this.pendingCommands.forEach(command => this.controller.applyCommand(command));
+
+    // Hide small differences by letting the mesh glide to the corrected position
+    const after = this.controller.state;
+    const error = {
+      x: before.x - after.x,
+      y: before.y - after.y,
+      z: before.z - after.z
+    };
+    const distance = Math.hypot(error.x, error.y, error.z);
+
+    if (distance > this.options.snapDistance) {
+      console.warn(`LocalPrediction: Snapping to server position (off by ${distance.toFixed(2)})`);
+      this.controller.clearCorrection();
+    } else if (distance > 0.0001) {
+      this.controller.addCorrection(error);
+    }
+  }
+
+  /**
+   * Forget all pending commands, e.g. after joining again with a new player
+   */
+  reset() {
+    this.pendingCommands = [];
+    this.nextSequence = 1;
+    this.controller.clearCorrection();
+  }
+}
+
+export default LocalPrediction;
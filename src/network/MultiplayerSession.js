@@ -0,0 +1,211 @@
+/**
+ * MultiplayerSession.js
+ * Joins the server and keeps the world in step with it: the local player is
+ * predicted and reconciled, remote players are interpolated from snapshots,
+ * and the name modal, reconnecting overlay, chat, emotes and labels follow the connection.
+ */
+
+import { SERVER_URL, REQUESTED_ROOM, NETWORK_CONDITIONS } from '../config.js';
+import NetworkClient from './NetworkClient.js';
+import RemotePlayers from './RemotePlayers.js';
+import LocalPrediction from './LocalPrediction.js';
+import PlayerNameModal from '../utils/PlayerNameModal.js';
+import ReconnectingOverlay from '../utils/ReconnectingOverlay.js';
+import ChatPanel from '../utils/ChatPanel.js';
+import EmoteMenu from '../utils/EmoteMenu.js';
+import NetworkConditionsPanel from '../utils/NetworkConditionsPanel.js';
+import { isMobileDevice } from '../utils/DeviceDetector.js';
+import { logToDebugPanel } from '../utils/MobileDebugger.js';
+import { quantizeCommand } from '../../shared/protocol.js';
+import { getAnimationState, applyEmote } from '../../shared/movement.js';
+
+class MultiplayerSession {
+  /**
+   * @param {THREE.Scene} scene - Scene remote players are added to
+   * @param {CharacterController} characterController - Controller of the local player
+   * @param {InputManager} inputManager - Keyboard input, released while chatting
+   * @param {PlayerLabels} labels - Name tags and speech bubbles above the players
+   */
+  constructor(scene, characterController, inputManager, labels) {
+    this.characterController = characterController;
+    this.labels = labels;
+    this.localPlayerId = null;
+    this.remotePlayers = new RemotePlayers(scene, { labels });
+    this.networkClient = new NetworkClient(SERVER_URL);
+    this.localPrediction = new LocalPrediction(characterController);
+    // Predict with the server's own movement so reconciling finds nothing to correct
+    characterController.setServerMovement(true);
+
+    this.reconnectingOverlay = new ReconnectingOverlay();
+    this.nameModal = new PlayerNameModal();
+    this.chatPanel = new ChatPanel({ isMobile: isMobileDevice() });
+    this.emoteMenu = new EmoteMenu({ isMobile: isMobileDevice() });
+
+    // Emote the local player is playing, until it moves
+    this.emote = null;
+
+    // Keys held when the chat opens would otherwise keep the character walking
+    this.chatPanel.onOpen(() => inputManager.releaseAllKeys());
+    this.chatPanel.onSend(text => this.networkClient.sendChat(text));
+    this.emoteMenu.onSelect(emote => this.playEmote(emote));
+
+    // Development only: simulated latency, jitter, loss and bandwidth cap,
+    // from the page URL and the F8 panel
+    this.networkConditionsPanel = null;
+    if (import.meta.env.DEV) {
+      this.networkConditionsPanel = new NetworkConditionsPanel(NETWORK_CONDITIONS);
+      this.networkConditionsPanel.onChange(conditions => this.networkClient.setNetworkConditions(conditions));
+      this.networkClient.setNetworkConditions(NETWORK_CONDITIONS);
+    }
+
+    this.registerHandlers();
+  }
+
+  registerHandlers() {
+    const { networkClient, remotePlayers, nameModal, reconnectingOverlay, chatPanel } = this;
+
+    networkClient.on('gameState', (state) => this.onGameState(state));
+    networkClient.on('playerJoined', (player) => console.log(`${player.name} joined the room`));
+    networkClient.on('playerLeft', ({ id }) => remotePlayers.removePlayer(id));
+    // Only players near us are sent, they are spawned and removed as they come and go
+    networkClient.on('interestEnter', ({ players }) => players.forEach(player => remotePlayers.addPlayer(player)));
+    networkClient.on('interestLeave', ({ ids }) => ids.forEach(id => remotePlayers.removePlayer(id)));
+    networkClient.on('snapshot', (snapshot) => this.applySnapshot(snapshot));
+    networkClient.on('chat', (message) => {
+      chatPanel.addMessage(message);
+      this.labels.showMessage(message.playerId, message.text);
+    });
+    networkClient.on('announcement', ({ message }) => chatPanel.addNotice(`Server: ${message}`));
+    networkClient.on('serverRestarting', ({ message }) => chatPanel.addNotice(message));
+    networkClient.on('disconnect', () => remotePlayers.clear());
+    networkClient.on('reconnecting', () => reconnectingOverlay.show());
+    networkClient.on('kicked', ({ reason }) => {
+      console.warn(`Kicked from server: ${reason}`);
+      if (isMobileDevice()) logToDebugPanel(`Kicked from server: ${reason}`, 'error');
+    });
+
+    networkClient.on('authError', (error) => {
+      console.warn(`Could not sign in: ${error.message}`);
+      nameModal.showError('Could not reach the server, please try again');
+      if (isMobileDevice()) logToDebugPanel(`Could not sign in: ${error.message}`, 'error');
+    });
+
+    // The server refused a message (invalid payload or sent too often)
+    networkClient.on('rejected', ({ event, code, message }) => {
+      console.warn(`Server rejected ${event}: ${code} (${message})`);
+      if (isMobileDevice()) logToDebugPanel(`Server rejected ${event}: ${code}`, 'warn');
+
+      // E.g. the name is taken or not allowed, ask for another one. During a
+      // restart the join is repeated once the server is back.
+      if (event === 'join' && code === 'server_restarting') {
+        reconnectingOverlay.show();
+      } else if (event === 'join') {
+        nameModal.show();
+        nameModal.showError(message);
+      } else if (event === 'chat') {
+        chatPanel.addNotice(code === 'rate_limited' ? 'You are sending messages too fast' : message);
+      } else if (event === 'netConditions' && this.networkConditionsPanel) {
+        this.networkConditionsPanel.showNotice(`${message}; only what we send is affected`);
+      }
+    });
+
+    nameModal.onSubmit((name) => networkClient.connect(name, REQUESTED_ROOM));
+  }
+
+  // Ask for a name, then join the multiplayer server
+  start() {
+    this.nameModal.show();
+  }
+
+  onGameState(state) {
+    this.nameModal.hide();
+    this.reconnectingOverlay.hide();
+    this.localPrediction.reset();
+
+    // Start from where the server has us, e.g. after resuming a session
+    const self = state.players.find(player => player.id === state.playerId);
+    if (self) {
+      this.characterController.setState({
+        ...self.position,
+        yaw: self.rotation.y,
+        vx: 0,
+        vy: 0,
+        vz: 0
+      });
+    }
+    this.remotePlayers.setLocalPlayerId(state.playerId);
+    this.remotePlayers.setPlayers(state.players);
+
+    // Our own chat shows above our capybara too, but not our name
+    if (this.localPlayerId !== state.playerId) {
+      this.labels.removePlayer(this.localPlayerId);
+      this.labels.addPlayer(state.playerId, self ? self.name : '', this.characterController.mesh, { showName: false });
+      this.localPlayerId = state.playerId;
+    }
+
+    this.chatPanel.show();
+    this.chatPanel.setHistory(state.chatHistory || []);
+    this.emoteMenu.show();
+    this.emote = null;
+  }
+
+  // Apply a server snapshot: reconcile our prediction and move everyone else
+  applySnapshot(snapshot) {
+    if (snapshot.ack) {
+      this.localPrediction.reconcile(snapshot.ack.seq, snapshot.ack.state);
+    }
+    snapshot.players.forEach((player) => {
+      if (player.id !== this.networkClient.playerId) {
+        this.remotePlayers.addSnapshot(player, snapshot.time);
+      }
+    });
+  }
+
+  isJoined() {
+    return this.networkClient.isJoined();
+  }
+
+  /**
+   * Predict one movement command and send it to the server to be confirmed
+   * @param {Object} input - From InputManager.getMovementInput
+   * @param {number} cameraAngle - Horizontal camera angle the input is relative to
+   * @param {number} deltaTime - Frame time in seconds
+   */
+  sendMovement(input, cameraAngle, deltaTime) {
+    // Predict with the exact values the server will decode from the binary message
+    const command = quantizeCommand(this.characterController.createCommand(input, cameraAngle, deltaTime));
+    this.networkClient.sendInput(this.localPrediction.predict(command));
+  }
+
+  /**
+   * Play an emote on our capybara right away and tell the server, which shows it to the others
+   * @param {string} emote - One of EMOTES in shared/protocol.js
+   */
+  playEmote(emote) {
+    if (!this.isJoined()) return;
+    this.emote = emote;
+    this.networkClient.sendEmote(emote);
+  }
+
+  /**
+   * Animation state of the local player: its emote while it stands still,
+   * otherwise its movement state; moving ends the emote like on the server
+   * @param {boolean} grounded - Whether the character is on the ground
+   * @param {number} speed - Horizontal speed in units per second
+   */
+  getAnimationState(grounded, speed) {
+    const state = applyEmote(this.emote, getAnimationState(grounded, speed));
+    if (state !== this.emote) {
+      this.emote = null;
+    }
+    this.labels.setEmote(this.localPlayerId, this.emote);
+    return state;
+  }
+
+  // Move everyone else
+  update(deltaTime) {
+    this.remotePlayers.update(deltaTime);
+  }
+}
+
+export default MultiplayerSession;
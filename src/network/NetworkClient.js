@@ -0,0 +1,403 @@
+/**
+ * NetworkClient.js
+ * Socket.io connection to the multiplayer server
+ */
+
+import { io } from 'socket.io-client';
+import { encodeInput, dequantizeEntity } from '../../shared/protocol.js';
+import { decodeSnapshot } from '../../shared/snapshotCodec.js';
+import { createLink, hasConditions } from '../../shared/networkConditions.js';
+import {
+  loadAuthToken,
+  saveAuthToken,
+  clearAuthToken,
+  requestGuestAccount,
+  upgradeAccount,
+  login
+} from './AuthApi.js';
+
+// How often buffered input commands are sent to the server
+const SEND_INTERVAL = 1000 / 20;
+
+// Server events that are forwarded to handlers registered with on()
+const SERVER_EVENTS = [
+  'gameState',
+  'playerJoined',
+  'playerLeft',
+  'interestEnter',
+  'interestLeave',
+  'kicked',
+  'rejected',
+  'chat',
+  'announcement',
+  'serverRestarting'
+];
+
+// Decoded snapshots kept as delta bases (the server keeps 32)
+const SNAPSHOT_HISTORY_SIZE = 64;
+
+class NetworkClient {
+  /**
+   * Create a new NetworkClient
+   * @param {string} serverUrl - URL of the socket.io server
+   */
+  constructor(serverUrl) {
+    this.serverUrl = serverUrl;
+    this.socket = null;
+    this.playerId = null;
+    this.playerName = null;
+    this.requestedRoom = null;
+    this.room = null;
+
+    // Lets the server hand our player back to us after a dropped connection
+    this.sessionToken = null;
+
+    // The server announced a restart, its disconnect is followed by a reconnect
+    this.serverRestarting = false;
+
+    // Signed token of our (guest or named) account, sent with the handshake
+    this.authToken = null;
+    this.account = null;
+
+    // Own profile as stored on the server (appearance, stats, items)
+    this.profile = null;
+    this.handlers = {};
+
+    // Input commands waiting for the next send
+    this.pendingInputs = [];
+    this.lastSendTime = 0;
+
+    // Binary snapshots refer to players by net id and may be deltas of older ones
+    this.netIds = new Map();
+    this.snapshotHistory = new Map();
+    this.latestTick = 0;
+
+    // Development only: simulated bad connection for what we send, see setNetworkConditions()
+    this.link = null;
+  }
+
+  /**
+   * Use the stored account token, or create a guest account if there is none
+   * @param {boolean} forceNew - Replace the stored token with a new guest account
+   */
+  async ensureAuthToken(forceNew = false) {
+    this.authToken = forceNew ? null : loadAuthToken();
+    if (this.authToken) return;
+
+    const { token, account } = await requestGuestAccount(this.serverUrl);
+    this.setAuthToken(token, account);
+    console.log(`NetworkClient: Created guest account ${account.id}`);
+  }
+
+  setAuthToken(token, account) {
+    this.authToken = token;
+    this.account = account;
+    saveAuthToken(token);
+  }
+
+  /**
+   * Connect to the server and join the game with a name
+   * @param {string} name - Display name chosen by the player
+   * @param {string} room - Room to join, the server puts us in an instance of it (optional)
+   */
+  async connect(name, room = null) {
+    this.playerName = name;
+    this.requestedRoom = room;
+
+    // Already connected, e.g. trying another name after the server rejected one
+    if (this.socket) {
+      if (this.socket.connected) this.sendJoin();
+      return;
+    }
+
+    try {
+      await this.ensureAuthToken();
+    } catch (error) {
+      console.warn('NetworkClient: Could not get an account:', error.message);
+      this.emitLocal('authError', error);
+      return;
+    }
+
+    this.socket = io(this.serverUrl, {
+      transports: ['websocket', 'polling'],
+      // Read on every (re)connect, so a refreshed token is used
+      auth: (callback) => callback({ token: this.authToken })
+    });
+    let retriedWithNewAccount = false;
+
+    this.socket.on('connect', () => {
+      console.log(`NetworkClient: Connected to ${this.serverUrl} as ${this.socket.id}`);
+      this.serverRestarting = false;
+      this.pendingInputs = [];
+      this.resetSnapshots();
+      if (this.link && hasConditions(this.link.conditions)) this.sendNetworkConditions();
+      this.sendJoin();
+    });
+
+    this.socket.on('connect_error', async (error) => {
+      console.warn('NetworkClient: Connection error:', error.message);
+
+      if (error.message === 'banned') {
+        this.emitLocal('kicked', { reason: (error.data && error.data.reason) || 'Account is banned' });
+        return;
+      }
+
+      // The stored token expired or belongs to another server: start over as a new guest, once
+      if (error.message === 'unauthorized' && !retriedWithNewAccount) {
+        retriedWithNewAccount = true;
+        clearAuthToken();
+        try {
+          await this.ensureAuthToken(true);
+          this.socket.connect();
+        } catch (authError) {
+          console.warn('NetworkClient: Could not get an account:', authError.message);
+          this.emitLocal('authError', authError);
+        }
+      }
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      console.warn(`NetworkClient: Disconnected (${reason})`);
+      this.playerId = null;
+      // Messages still held back by the simulated link are lost with the connection
+      if (this.link) this.link.clear();
+      this.emitLocal('disconnect', reason);
+
+      // socket.io keeps retrying unless we or the server closed the connection;
+      // joining again with the session token resumes our player
+      if (this.socket && this.socket.active) {
+        this.emitLocal('reconnecting', reason);
+      } else if (this.socket && this.serverRestarting && reason === 'io server disconnect') {
+        // The server closed our connection to restart; retry until it is back
+        this.socket.connect();
+        this.emitLocal('reconnecting', reason);
+      }
+    });
+
+    this.socket.on('serverRestarting', () => {
+      this.serverRestarting = true;
+    });
+
+    // Joined while the server was already shutting down
+    this.socket.on('rejected', ({ code }) => {
+      if (code === 'server_restarting') this.serverRestarting = true;
+    });
+
+    this.socket.on('gameState', (state) => {
+      this.playerId = state.playerId;
+      this.room = state.room;
+      this.sessionToken = state.sessionToken;
+      this.profile = state.profile;
+      this.setAuthToken(state.authToken, state.account);
+      console.log(`NetworkClient: ${state.resumed ? 'Resumed session' : 'Joined'} in room ${state.room}`);
+      this.resetSnapshots();
+      state.players.forEach(player => this.netIds.set(player.netId, player.id));
+    });
+
+    this.socket.on('playerJoined', (player) => {
+      this.netIds.set(player.netId, player.id);
+    });
+
+    // Players coming into range show up in snapshots from now on
+    this.socket.on('interestEnter', ({ players }) => {
+      players.forEach(player => this.netIds.set(player.netId, player.id));
+    });
+
+    this.socket.on('playerLeft', ({ id }) => {
+      this.netIds.forEach((playerId, netId) => {
+        if (playerId === id) this.netIds.delete(netId);
+      });
+    });
+
+    SERVER_EVENTS.forEach(event => {
+      this.socket.on(event, (data) => this.emitLocal(event, data));
+    });
+
+    this.socket.on('snapshot', (data) => this.onSnapshot(data));
+  }
+
+  /**
+   * Ask the server to put us in the world; answered with gameState or a 'rejected' join
+   */
+  sendJoin() {
+    const join = { name: this.playerName };
+    if (this.requestedRoom) join.room = this.requestedRoom;
+    if (this.sessionToken) join.sessionToken = this.sessionToken;
+    this.send('join', join);
+  }
+
+  /**
+   * Emit an event, through the simulated link if there is one
+   * @param {boolean} unreliable - The game copes with losing it, so the link may drop it
+   */
+  send(event, data, unreliable = false) {
+    const { socket } = this;
+    if (!this.link) {
+      socket.emit(event, data);
+      return;
+    }
+    const bytes = data instanceof ArrayBuffer ? data.byteLength : JSON.stringify(data).length;
+    this.link.send(bytes, () => socket.emit(event, data), unreliable);
+  }
+
+  /**
+   * Simulate a bad connection (development only). What we send is delayed,
+   * and inputs may be lost, here; the server does the same to what it sends
+   * us when it runs with NETWORK_SIMULATION=1.
+   * @param {Object} conditions - { latency, jitter, loss, bandwidth }, see shared/networkConditions.js
+   */
+  setNetworkConditions(conditions) {
+    if (!this.link) this.link = createLink();
+    this.link.setConditions(conditions);
+    if (this.socket && this.socket.connected) this.sendNetworkConditions();
+  }
+
+  sendNetworkConditions() {
+    this.socket.emit('netConditions', this.link.conditions);
+  }
+
+  /**
+   * Give our guest account a username and password, so it can be used from
+   * other devices. The username becomes our name from the next join on.
+   * @throws {Error} With the server's error code (e.g. username_taken) in error.code
+   */
+  async upgradeAccount(username, password) {
+    const { token, account } = await upgradeAccount(this.serverUrl, this.authToken, username, password);
+    this.setAuthToken(token, account);
+    return account;
+  }
+
+  /**
+   * Switch to a named account; takes effect on the next connect
+   * @throws {Error} With the server's error code (e.g. invalid_credentials) in error.code
+   */
+  async login(username, password) {
+    const { token, account } = await login(this.serverUrl, username, password);
+    this.setAuthToken(token, account);
+    return account;
+  }
+
+  /**
+   * Forget decoded snapshots and net ids, e.g. when joining again
+   */
+  resetSnapshots() {
+    this.netIds.clear();
+    this.snapshotHistory.clear();
+    this.latestTick = 0;
+  }
+
+  /**
+   * Decode a binary snapshot and pass it on with player ids and transforms
+   */
+  onSnapshot(data) {
+    let snapshot;
+    try {
+      snapshot = decodeSnapshot(data, (baseTick) => this.snapshotHistory.get(baseTick) || null);
+    } catch (error) {
+      // Without the base we can't decode; the server falls back to a full snapshot
+      console.warn(`NetworkClient: Dropping snapshot: ${error.message}`);
+      return;
+    }
+
+    // Late snapshots are still stored as possible bases, but not shown
+    this.snapshotHistory.set(snapshot.tick, snapshot.entities);
+    if (this.snapshotHistory.size > SNAPSHOT_HISTORY_SIZE) {
+      this.snapshotHistory.delete(this.snapshotHistory.keys().next().value);
+    }
+    if (snapshot.tick <= this.latestTick) return;
+    this.latestTick = snapshot.tick;
+
+    const players = [];
+    snapshot.entities.forEach((entity) => {
+      const id = this.netIds.get(entity.netId);
+      if (id) {
+        players.push({ id, ...dequantizeEntity(entity) });
+      }
+    });
+
+    this.emitLocal('snapshot', {
+      tick: snapshot.tick,
+      time: snapshot.time,
+      players,
+      ack: snapshot.ack
+    });
+  }
+
+  /**
+   * Register a handler for a server event
+   * @param {string} event - One of gameState, playerJoined, playerLeft, interestEnter, interestLeave,
+   *   snapshot, chat, announcement, kicked, rejected, disconnect, reconnecting, authError
+   * @param {Function} handler - Called with the event payload
+   */
+  on(event, handler) {
+    if (!this.handlers[event]) {
+      this.handlers[event] = [];
+    }
+    this.handlers[event].push(handler);
+  }
+
+  /**
+   * Call all handlers registered for an event
+   */
+  emitLocal(event, data) {
+    (this.handlers[event] || []).forEach(handler => handler(data));
+  }
+
+  /**
+   * Check whether the player has joined the game
+   */
+  isJoined() {
+    return !!(this.socket && this.socket.connected && this.playerId);
+  }
+
+  /**
+   * Queue a movement command for the server, commands are sent in batches
+   * every SEND_INTERVAL and simulated by the server in order
+   * @param {Object} command - { seq, moveX, moveZ, jump, dt } from quantizeCommand
+   */
+  sendInput(command) {
+    if (!this.isJoined()) return;
+
+    this.pendingInputs.push(command);
+
+    const now = performance.now();
+    if (now - this.lastSendTime < SEND_INTERVAL) return;
+
+    // The newest received snapshot tick doubles as the ack for delta compression
+    this.send('input', encodeInput(this.pendingInputs, this.latestTick), true);
+    this.pendingInputs = [];
+    this.lastSendTime = now;
+  }
+
+  /**
+   * Send a chat message to our room; it comes back as a 'chat' event once the server accepts it
+   * @param {string} text - Message text, the server limits its length
+   */
+  sendChat(text) {
+    if (!this.isJoined()) return;
+    this.send('chat', { text });
+  }
+
+  /**
+   * Play an emote until we move; others see it as our animation state
+   * @param {string} emote - One of EMOTES in shared/protocol.js
+   */
+  sendEmote(emote) {
+    if (!this.isJoined()) return;
+    this.send('emote', { emote });
+  }
+
+  /**
+   * Close the connection
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.playerId = null;
+    this.sessionToken = null;
+  }
+}
+
+export default NetworkClient;
@@ -0,0 +1,121 @@
+/**
+ * Recording.js
+ * A room session recorded by the server (server/sessionRecorder.js), read
+ * from its NDJSON file: where every player was on each tick, and the chat
+ */
+
+import SnapshotBuffer from './SnapshotBuffer.js';
+
+// Recording format this viewer understands
+const RECORDING_VERSION = 1;
+
+class Recording {
+  /**
+   * Read a recording file
+   * @param {string} text - Contents of the .ndjson file
+   * @throws {Error} If it isn't a recording or has no player positions
+   */
+  static parse(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    let start = null;
+    const states = [];
+    const chat = [];
+    // Chat is recorded once per player it was sent to
+    const chatIds = new Set();
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // The server may have stopped in the middle of a line
+        console.warn(`Recording: Skipping unreadable line ${index + 1}`);
+        return;
+      }
+
+      if (entry.type === 'start') {
+        start = entry;
+      } else if (entry.type === 'state') {
+        states.push(entry);
+      } else if (entry.type === 'out' && entry.event === 'chat' && !chatIds.has(entry.args[0].id)) {
+        chatIds.add(entry.args[0].id);
+        chat.push({ time: entry.time, playerId: entry.args[0].playerId, text: entry.args[0].text });
+      }
+    });
+
+    if (!start) throw new Error('Not a session recording');
+    if (start.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${start.version}`);
+    if (!states.length) throw new Error('The recording has no player positions');
+    return new Recording(start, states, chat);
+  }
+
+  constructor(start, states, chat) {
+    this.room = start.room;
+    this.startTime = states[0].time;
+    this.duration = states[states.length - 1].time - this.startTime;
+
+    // Times from here on are milliseconds since the first state
+    this.states = states.map(state => ({
+      time: state.time - this.startTime,
+      players: new Map(state.players.map(player => [player.id, {
+        time: state.time - this.startTime,
+        position: player.position,
+        yaw: player.yaw,
+        animationState: player.animationState
+      }]))
+    }));
+    this.chat = chat.map(message => ({ ...message, time: message.time - this.startTime }));
+
+    // Everyone who was in the room, by id
+    this.names = new Map();
+    states.forEach(state => state.players.forEach(player => this.names.set(player.id, player.name)));
+
+    // Blends two states the same way live remote players are interpolated
+    this.blender = new SnapshotBuffer();
+  }
+
+  /**
+   * Index of the last state at or before a time
+   */
+  findState(time) {
+    let low = 0;
+    let high = this.states.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.states[middle].time <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Every player in the room at a time, between the recorded ticks
+   * @param {number} time - Milliseconds since the start of the recording
+   * @returns {Array} { id, name, position, yaw, animationState, speed }
+   */
+  sample(time) {
+    const index = this.findState(time);
+    const from = this.states[index];
+    const to = this.states[index + 1] || from;
+    const alpha = to === from ? 0 : Math.max(0, Math.min(1, (time - from.time) / (to.time - from.time)));
+
+    return Array.from(from.players, ([id, fromPlayer]) => {
+      // Players that left by the next tick stay where they were
+      const toPlayer = to.players.get(id) || fromPlayer;
+      const speed = this.blender.getSpeed(fromPlayer, toPlayer);
+      return { id, name: this.names.get(id), ...this.blender.createSample(fromPlayer, toPlayer, alpha, speed, false) };
+    });
+  }
+
+  /**
+   * Chat messages sent after one time, up to and including another
+   */
+  getChatBetween(from, to) {
+    return this.chat.filter(message => message.time > from && message.time <= to);
+  }
+}
+
+export default Recording;
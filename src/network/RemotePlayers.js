@@ -0,0 +1,242 @@
+/**
+ * RemotePlayers.js
+ * Spawns a capybara for every other player and renders them slightly in the
+ * past, interpolating between the snapshots received from the server
+ */
+
+import * as THREE from 'three';
+import SnapshotBuffer from './SnapshotBuffer.js';
+import CharacterAnimator from '../CharacterAnimator.js';
+import { loadCapybaraAssets, createCapybara } from '../CapybaraModel.js';
+import { EMOTES } from '../../shared/protocol.js';
+
+class RemotePlayers {
+  /**
+   * Create a new RemotePlayers manager
+   * @param {THREE.Scene} scene - Scene the remote capybaras are added to
+   * @param {Object} options - Configuration options
+   * @param {number} options.interpolationDelay - Milliseconds remote players are rendered in the past (default: 100)
+   * @param {PlayerLabels} options.labels - Name tags and speech bubbles for the players (optional)
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = {
+      interpolationDelay: options.interpolationDelay || 100
+    };
+
+    this.labels = options.labels || null;
+
+    this.players = new Map();
+    this.localPlayerId = null;
+
+    // Estimated difference between the local clock and the server clock
+    this.clockOffset = null;
+  }
+
+  /**
+   * Set the id of the local player so it is never spawned as a remote player
+   */
+  setLocalPlayerId(id) {
+    this.localPlayerId = id;
+    this.removePlayer(id);
+  }
+
+  /**
+   * Current time on the server clock, as far as we can tell
+   */
+  getServerTime() {
+    return Date.now() - (this.clockOffset || 0);
+  }
+
+  /**
+   * Update the clock offset estimate from the time of a snapshot, the only
+   * time the server stamps when sending
+   */
+  updateClockOffset(timestamp) {
+    const sample = Date.now() - timestamp;
+    if (this.clockOffset === null) {
+      this.clockOffset = sample;
+    } else {
+      this.clockOffset += (sample - this.clockOffset) * 0.1;
+    }
+  }
+
+  /**
+   * Create a remote player entry and start loading its capybara. Players
+   * already there keep moving from their snapshots.
+   * @param {Object} player - Player record from the server (gameState, interestEnter)
+   */
+  addPlayer(player) {
+    if (player.id === this.localPlayerId || this.players.has(player.id)) return;
+
+    const container = new THREE.Group();
+    container.name = `remote-${player.id}`;
+    this.scene.add(container);
+
+    const entry = {
+      id: player.id,
+      name: player.name,
+      container,
+      animator: null,
+      buffer: new SnapshotBuffer(),
+      // Until its first snapshot the player stands where the record put it
+      seeded: true
+    };
+    this.players.set(player.id, entry);
+
+    if (this.labels) {
+      this.labels.addPlayer(player.id, player.name, container);
+    }
+
+    loadCapybaraAssets()
+      .then(assets => {
+        // The player may have left while the model was loading
+        if (this.players.get(player.id) !== entry) return;
+        const capybara = createCapybara(assets);
+        container.add(capybara);
+        entry.animator = new CharacterAnimator(capybara, assets.clips);
+      })
+      .catch(error => {
+        console.warn(`RemotePlayers: Using placeholder for ${player.id}:`, error);
+        const box = new THREE.Mesh(
+          new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0),
+          new THREE.MeshStandardMaterial({ color: 0x8B4513 })
+        );
+        container.add(box);
+      });
+
+    // The record's timestamp is when the player last moved, which says
+    // nothing about the server clock, so it is placed at the estimated time
+    entry.buffer.push(this.toBufferedTransform(player, this.getServerTime()));
+    console.log(`RemotePlayers: Spawned ${player.name} (${player.id})`);
+  }
+
+  /**
+   * Buffer a new transform for a remote player from a snapshot
+   * @param {Object} player - Player entry of the snapshot with position, rotation and animationState
+   * @param {number} time - Server time of the snapshot
+   */
+  addSnapshot(player, time) {
+    if (player.id === this.localPlayerId) return;
+
+    this.updateClockOffset(time);
+
+    if (!this.players.has(player.id)) {
+      this.addPlayer(player);
+    }
+    const entry = this.players.get(player.id);
+
+    // The estimated time of the record it was added with may be later than
+    // this snapshot, which would then be dropped as out of order
+    if (entry.seeded) {
+      entry.buffer = new SnapshotBuffer();
+      entry.seeded = false;
+    }
+    entry.buffer.push(this.toBufferedTransform(player, time));
+  }
+
+  toBufferedTransform(player, time) {
+    return {
+      time,
+      position: { ...player.position },
+      yaw: player.rotation ? player.rotation.y : 0,
+      animationState: player.animationState || 'idle'
+    };
+  }
+
+  /**
+   * Despawn a remote player
+   * @param {string} id - Player id
+   */
+  removePlayer(id) {
+    const entry = this.players.get(id);
+    if (!entry) return;
+
+    if (entry.animator) {
+      entry.animator.dispose();
+    }
+    if (this.labels) {
+      this.labels.removePlayer(id);
+    }
+    // Geometry and materials are shared with the other capybaras, so they are not disposed
+    this.scene.remove(entry.container);
+    this.players.delete(id);
+    console.log(`RemotePlayers: Removed ${entry.name} (${id})`);
+  }
+
+  /**
+   * Replace all remote players with the ones in a full game state
+   * @param {Array} players - Player records from the gameState event
+   */
+  setPlayers(players) {
+    const ids = new Set(players.map(player => player.id));
+    Array.from(this.players.keys())
+      .filter(id => !ids.has(id))
+      .forEach(id => this.removePlayer(id));
+    players.forEach(player => this.addPlayer(player));
+  }
+
+  /**
+   * Remove every remote player
+   */
+  clear() {
+    Array.from(this.players.keys()).forEach(id => this.removePlayer(id));
+  }
+
+  /**
+   * Main update method called from animation loop
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    const renderTime = this.getServerTime() - this.options.interpolationDelay;
+
+    this.players.forEach(entry => {
+      const sample = entry.buffer.sample(renderTime);
+      if (sample) this.applyPose(entry, sample, deltaTime);
+    });
+  }
+
+  /**
+   * Place a player directly instead of from its buffered snapshots, e.g. during a replay
+   * @param {string} id - Player id
+   * @param {Object} pose - { position, yaw, animationState, speed } like a SnapshotBuffer sample
+   * @param {number} deltaTime - Seconds since the last frame, for the animation
+   */
+  setPose(id, pose, deltaTime) {
+    const entry = this.players.get(id);
+    if (entry) this.applyPose(entry, pose, deltaTime);
+  }
+
+  applyPose(entry, pose, deltaTime) {
+    entry.container.position.set(pose.position.x, pose.position.y, pose.position.z);
+    entry.container.rotation.y = pose.yaw;
+
+    if (this.labels) {
+      this.labels.setEmote(entry.id, EMOTES.includes(pose.animationState) ? pose.animationState : null);
+    }
+
+    if (entry.animator) {
+      entry.animator.update(deltaTime, {
+        state: pose.animationState,
+        speed: pose.speed
+      });
+    }
+  }
+
+  /**
+   * Scene object of a player, e.g. for the camera to follow, or null
+   */
+  getObject(id) {
+    const entry = this.players.get(id);
+    return entry ? entry.container : null;
+  }
+
+  /**
+   * Ids of all remote players
+   */
+  getIds() {
+    return Array.from(this.players.keys());
+  }
+}
+
+export default RemotePlayers;
@@ -0,0 +1,132 @@
+/**
+ * ReplayViewer.js
+ * Plays back a session recorded by the server (open the page with ?replay):
+ * every capybara moves as it did on the server, with the chat as speech
+ * bubbles, and the camera follows a player of choice
+ */
+
+import Recording from './Recording.js';
+import RemotePlayers from './RemotePlayers.js';
+import ReplayControls from '../utils/ReplayControls.js';
+
+class ReplayViewer {
+  /**
+   * @param {THREE.Scene} scene - Scene the recorded capybaras are added to
+   * @param {ThirdPersonCamera} thirdPersonCamera - Camera that follows the chosen player
+   * @param {PlayerLabels} labels - Name tags and speech bubbles above the players
+   */
+  constructor(scene, thirdPersonCamera, labels) {
+    this.thirdPersonCamera = thirdPersonCamera;
+    this.labels = labels;
+    this.players = new RemotePlayers(scene, { labels });
+    this.controls = new ReplayControls();
+
+    this.recording = null;
+    // Playback position in milliseconds since the start of the recording
+    this.time = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.followedId = null;
+
+    this.controls.on('open', file => this.load(file));
+    this.controls.on('togglePlay', () => this.togglePlay());
+    this.controls.on('seek', time => this.seek(time));
+    this.controls.on('speed', speed => {
+      this.speed = speed;
+    });
+    this.controls.on('follow', id => this.follow(id));
+  }
+
+  start() {
+    this.controls.show();
+  }
+
+  /**
+   * Read a recording file and play it from the start
+   * @param {File} file - NDJSON file written by server/sessionRecorder.js
+   */
+  async load(file) {
+    let recording;
+    try {
+      recording = Recording.parse(await file.text());
+    } catch (error) {
+      console.warn(`ReplayViewer: Could not load ${file.name}:`, error);
+      this.controls.showError(`Could not load ${file.name}: ${error.message}`);
+      return;
+    }
+
+    this.players.clear();
+    this.recording = recording;
+    this.followedId = null;
+    this.time = 0;
+    this.playing = true;
+    this.controls.setRecording({
+      room: recording.room,
+      duration: recording.duration,
+      players: Array.from(recording.names, ([id, name]) => ({ id, name }))
+    });
+    console.log(`ReplayViewer: Loaded ${file.name}, ${recording.names.size} players over ${Math.round(recording.duration / 1000)} s`);
+  }
+
+  togglePlay() {
+    if (!this.recording) return;
+    // Playing again from the end starts over
+    if (!this.playing && this.time >= this.recording.duration) {
+      this.time = 0;
+    }
+    this.playing = !this.playing;
+  }
+
+  // Jump to a time; chat in between isn't shown
+  seek(time) {
+    this.time = time;
+  }
+
+  follow(id) {
+    this.followedId = id;
+    const object = this.players.getObject(id);
+    if (object) {
+      this.thirdPersonCamera.setTarget(object);
+      this.controls.setFollowed(id);
+    }
+  }
+
+  // Move everyone to where they were at the playback time
+  update(deltaTime) {
+    if (!this.recording) return;
+
+    if (this.playing) {
+      const previousTime = this.time;
+      this.time = Math.min(this.recording.duration, this.time + deltaTime * 1000 * this.speed);
+      this.recording.getChatBetween(previousTime, this.time)
+        .forEach(message => this.labels.showMessage(message.playerId, message.text));
+      if (this.time >= this.recording.duration) {
+        this.playing = false;
+      }
+    }
+
+    const poses = this.recording.sample(this.time);
+    const present = new Set(poses.map(pose => pose.id));
+    this.players.getIds()
+      .filter(id => !present.has(id))
+      .forEach(id => this.players.removePlayer(id));
+    poses.forEach(pose => {
+      if (!this.players.getObject(pose.id)) {
+        this.players.addPlayer({ id: pose.id, name: pose.name, position: pose.position, rotation: { y: pose.yaw } });
+      }
+      // Scaled so animations keep up with the playback speed
+      this.players.setPose(pose.id, pose, this.playing ? deltaTime * this.speed : 0);
+    });
+
+    // Follow someone who is there, the chosen player when possible
+    if (!present.has(this.followedId) && poses.length) {
+      this.follow(poses[0].id);
+    } else if (this.thirdPersonCamera.target !== this.players.getObject(this.followedId)) {
+      this.follow(this.followedId);
+    }
+
+    this.controls.update(this.time, this.playing);
+  }
+}
+
+export default ReplayViewer;
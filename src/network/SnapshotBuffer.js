@@ -0,0 +1,121 @@
+/**
+ * SnapshotBuffer.js
+ * Buffers timestamped transform snapshots of a remote entity and samples them
+ * slightly in the past so movement stays smooth despite network jitter
+ */
+
+// Keep about a second of history, enough for any reasonable interpolation delay
+const MAX_SNAPSHOTS = 30;
+
+// Shortest signed difference between two angles
+function angleDelta(from, to) {
+  const difference = to - from;
+  return Math.atan2(Math.sin(difference), Math.cos(difference));
+}
+
+class SnapshotBuffer {
+  /**
+   * Create a new SnapshotBuffer
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxExtrapolation - Milliseconds to keep predicting past the newest snapshot (default: 250)
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxExtrapolation: options.maxExtrapolation || 250
+    };
+    this.snapshots = [];
+  }
+
+  /**
+   * Add a snapshot, keeping the buffer ordered by time
+   * @param {Object} snapshot - { time, position: {x, y, z}, yaw, animationState }
+   */
+  push(snapshot) {
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    // Ignore duplicates and packets that arrive out of order
+    if (last && snapshot.time <= last.time) return;
+
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Get the newest snapshot
+   */
+  latest() {
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+
+  /**
+   * Sample the buffered transform at a point in time
+   * Interpolates between the surrounding snapshots, or extrapolates for a short
+   * time from the last two when the next snapshot hasn't arrived yet
+   * @param {number} renderTime - Time to sample, on the same clock as snapshot.time
+   * @returns {Object|null} { position, yaw, animationState, speed, extrapolated }
+   */
+  sample(renderTime) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+
+    // Drop snapshots that are entirely behind the render time (keep one before it)
+    while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+      this.snapshots.shift();
+    }
+
+    const [from, to] = this.snapshots;
+
+    if (!to || renderTime <= from.time) {
+      return this.createSample(from, from, 0, 0, false);
+    }
+
+    if (renderTime <= to.time) {
+      const alpha = (renderTime - from.time) / (to.time - from.time);
+      return this.createSample(from, to, alpha, this.getSpeed(from, to), false);
+    }
+
+    // Past the newest snapshot: continue along the last known velocity for a while
+    const newer = this.latest();
+    const older = this.snapshots[this.snapshots.length - 2];
+    const ahead = Math.min(renderTime - newer.time, this.options.maxExtrapolation);
+    const alpha = 1 + ahead / (newer.time - older.time);
+    return this.createSample(older, newer, alpha, this.getSpeed(older, newer), true);
+  }
+
+  /**
+   * Blend two snapshots (alpha above 1 extrapolates beyond the second)
+   */
+  createSample(from, to, alpha, speed, extrapolated) {
+    return {
+      position: {
+        x: from.position.x + (to.position.x - from.position.x) * alpha,
+        y: from.position.y + (to.position.y - from.position.y) * alpha,
+        z: from.position.z + (to.position.z - from.position.z) * alpha
+      },
+      yaw: from.yaw + angleDelta(from.yaw, to.yaw) * Math.min(alpha, 1),
+      animationState: alpha < 0.5 ? from.animationState : to.animationState,
+      speed,
+      extrapolated
+    };
+  }
+
+  /**
+   * Horizontal speed between two snapshots in units per second
+   */
+  getSpeed(from, to) {
+    const seconds = (to.time - from.time) / 1000;
+    if (seconds <= 0) return 0;
+    return Math.hypot(to.position.x - from.position.x, to.position.z - from.position.z) / seconds;
+  }
+
+  /**
+   * Remove all buffered snapshots
+   */
+  clear() {
+    this.snapshots = [];
+  }
+}
+
+export default SnapshotBuffer;
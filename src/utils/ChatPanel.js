@@ -0,0 +1,235 @@
+// Same limit as the server (server/chat.js)
+const MAX_CHAT_LENGTH = 200;
+
+// Lines kept in the panel, older ones are removed
+const MAX_LINES = 50;
+
+// Room chat: a message log in the bottom-left corner and an input that opens
+// with Enter on desktop, or with the chat button on touch devices
+class ChatPanel {
+  constructor({ isMobile = false } = {}) {
+    this.isMobile = isMobile;
+    this.isOpen = false;
+    this.onSendCallback = null;
+    this.onOpenCallback = null;
+    this.panelElement = null;
+    this.logElement = null;
+    this.inputElement = null;
+    this.buttonElement = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onViewportChange = this.onViewportChange.bind(this);
+  }
+
+  // Create and show the panel
+  show() {
+    if (!this.panelElement) {
+      this.create();
+    }
+    this.panelElement.style.display = 'block';
+  }
+
+  create() {
+    this.panelElement = document.createElement('div');
+    this.panelElement.className = 'chat-panel';
+    this.panelElement.style.cssText = `
+      position: fixed;
+      left: 10px;
+      bottom: 40px;
+      width: min(360px, calc(100vw - 100px));
+      z-index: 900;
+      font-family: Arial, sans-serif;
+      font-size: 14px;
+      display: none;
+    `;
+
+    // The log never takes clicks, so it doesn't get in the way of the camera
+    this.logElement = document.createElement('div');
+    this.logElement.className = 'chat-log';
+    this.logElement.style.cssText = `
+      max-height: 180px;
+      overflow: hidden;
+      display: flex;
+      flex-direction: column;
+      justify-content: flex-end;
+      pointer-events: none;
+      color: white;
+      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
+    `;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = MAX_CHAT_LENGTH;
+    input.placeholder = this.isMobile ? 'Say something…' : 'Say something… (Enter to send, Esc to close)';
+    input.autocomplete = 'off';
+    // Show "Send" on the return key of mobile keyboards
+    input.setAttribute('enterkeyhint', 'send');
+    // At least 16px, or iOS Safari zooms in when the input is focused
+    input.style.cssText = `
+      display: none;
+      width: 100%;
+      box-sizing: border-box;
+      margin-top: 6px;
+      padding: 8px;
+      border: none;
+      border-radius: 4px;
+      background-color: rgba(0, 0, 0, 0.6);
+      color: white;
+      font-size: 16px;
+    `;
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.send();
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+    // Clicking back into the game (or closing the soft keyboard) closes the chat
+    input.addEventListener('blur', () => this.close());
+
+    this.inputElement = input;
+    this.panelElement.appendChild(this.logElement);
+    this.panelElement.appendChild(input);
+
+    if (this.isMobile) {
+      this.buttonElement = document.createElement('button');
+      this.buttonElement.textContent = 'Chat';
+      this.buttonElement.style.cssText = `
+        margin-top: 6px;
+        padding: 8px 14px;
+        border: none;
+        border-radius: 4px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        font-size: 16px;
+      `;
+      // pointerdown so the input's blur (which closes it) doesn't reopen it on click
+      this.buttonElement.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        if (this.isOpen) this.close();
+        else this.open();
+      });
+      this.panelElement.appendChild(this.buttonElement);
+
+      // Keep the panel above the soft keyboard
+      if (window.visualViewport) {
+        window.visualViewport.addEventListener('resize', this.onViewportChange);
+        window.visualViewport.addEventListener('scroll', this.onViewportChange);
+      }
+    }
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.body.appendChild(this.panelElement);
+  }
+
+  // Enter opens the chat, unless another input (e.g. the name modal) has focus
+  onKeyDown(event) {
+    if (event.key !== 'Enter' || this.isOpen || !this.panelElement) return;
+    if (this.panelElement.style.display === 'none') return;
+    if (event.target && ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    event.preventDefault();
+    this.open();
+  }
+
+  // Move the panel up by the part of the window the soft keyboard covers
+  onViewportChange() {
+    const viewport = window.visualViewport;
+    const covered = Math.max(0, window.innerHeight - viewport.height - viewport.offsetTop);
+    this.panelElement.style.bottom = `${40 + covered}px`;
+  }
+
+  // Show the input and focus it. Focusing doesn't release pointer lock, so the
+  // camera keeps working and the game is back in control once the chat closes.
+  open() {
+    if (this.isOpen || !this.inputElement) return;
+    this.isOpen = true;
+    this.inputElement.style.display = 'block';
+    this.inputElement.focus();
+    if (this.onOpenCallback) this.onOpenCallback();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.inputElement.value = '';
+    this.inputElement.style.display = 'none';
+    this.inputElement.blur();
+  }
+
+  // Send the typed message and go back to the game
+  send() {
+    const text = this.inputElement.value.trim();
+    if (text && this.onSendCallback) {
+      this.onSendCallback(text);
+    }
+    this.close();
+  }
+
+  // Replace the log with the room's recent messages, e.g. after joining
+  setHistory(messages) {
+    if (!this.logElement) this.create();
+    this.logElement.replaceChildren();
+    messages.forEach(message => this.addMessage(message));
+  }
+
+  // Add a message { name, text } to the log
+  addMessage({ name, text }) {
+    const line = document.createElement('div');
+    const nameElement = document.createElement('strong');
+    // Player text is only ever set as text, never as HTML
+    nameElement.textContent = `${name}: `;
+    line.appendChild(nameElement);
+    line.appendChild(document.createTextNode(text));
+    this.addLine(line);
+  }
+
+  // Add a line from the game itself, e.g. why a message wasn't sent
+  addNotice(text) {
+    const line = document.createElement('div');
+    line.textContent = text;
+    line.style.fontStyle = 'italic';
+    line.style.color = '#ffd27f';
+    this.addLine(line);
+  }
+
+  addLine(line) {
+    if (!this.logElement) this.create();
+    line.style.wordWrap = 'break-word';
+    line.style.padding = '1px 0';
+    this.logElement.appendChild(line);
+    while (this.logElement.childElementCount > MAX_LINES) {
+      this.logElement.removeChild(this.logElement.firstChild);
+    }
+  }
+
+  // Set send callback, called with the message text
+  onSend(callback) {
+    this.onSendCallback = callback;
+  }
+
+  // Set open callback, e.g. to stop the character while typing
+  onOpen(callback) {
+    this.onOpenCallback = callback;
+  }
+
+  // Clean up
+  destroy() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    if (window.visualViewport) {
+      window.visualViewport.removeEventListener('resize', this.onViewportChange);
+      window.visualViewport.removeEventListener('scroll', this.onViewportChange);
+    }
+    if (this.panelElement) {
+      document.body.removeChild(this.panelElement);
+      this.panelElement = null;
+      this.logElement = null;
+      this.inputElement = null;
+      this.buttonElement = null;
+    }
+  }
+}
+
+export default ChatPanel;
@@ -0,0 +1,141 @@
+import { EMOTES } from '../../shared/protocol.js';
+
+// How each emote is shown in the menu, in EMOTES order (keys 1-4), and above
+// the players playing it (PlayerLabels.js)
+export const EMOTE_LABELS = {
+  wave: { icon: '👋', title: 'Wave' },
+  sit: { icon: '🪑', title: 'Sit' },
+  sleep: { icon: '💤', title: 'Sleep' },
+  hotspring: { icon: '♨️', title: 'Hot spring' }
+};
+
+// Distance of the radial menu buttons from the emote button, in pixels
+const RADIAL_RADIUS = 75;
+
+// Emote picker: number keys on desktop, a button that opens a radial menu on touch devices
+class EmoteMenu {
+  constructor({ isMobile = false } = {}) {
+    this.isMobile = isMobile;
+    this.isOpen = false;
+    this.enabled = false;
+    this.onSelectCallback = null;
+    this.containerElement = null;
+    this.optionElements = [];
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  // Start listening for emote keys, and show the emote button on touch devices
+  show() {
+    if (!this.containerElement) {
+      this.create();
+    }
+    this.containerElement.style.display = this.isMobile ? 'block' : 'none';
+    this.enabled = true;
+  }
+
+  create() {
+    document.addEventListener('keydown', this.onKeyDown);
+
+    this.containerElement = document.createElement('div');
+    this.containerElement.className = 'emote-menu';
+    this.containerElement.style.cssText = `
+      position: fixed;
+      right: 50px;
+      bottom: 130px;
+      width: 0;
+      height: 0;
+      z-index: 900;
+      display: none;
+    `;
+
+    const button = this.createButton('😊', 'Emotes');
+    // pointerdown rather than click so taps don't wait for the click delay
+    button.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this.setOpen(!this.isOpen);
+    });
+    this.containerElement.appendChild(button);
+
+    // Options on a quarter circle from above the button to its left
+    EMOTES.forEach((emote, index) => {
+      const { icon, title } = EMOTE_LABELS[emote] || { icon: '?', title: emote };
+      const option = this.createButton(icon, title);
+      const angle = Math.PI / 2 + (index / (EMOTES.length - 1)) * (Math.PI / 2);
+      option.style.transform = `translate(${Math.cos(angle) * RADIAL_RADIUS}px, ${-Math.sin(angle) * RADIAL_RADIUS}px)`;
+      option.style.display = 'none';
+      option.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.setOpen(false);
+        this.select(emote);
+      });
+      this.optionElements.push(option);
+      this.containerElement.appendChild(option);
+    });
+
+    document.body.appendChild(this.containerElement);
+  }
+
+  // Round button centred on the container's origin
+  createButton(icon, title) {
+    const button = document.createElement('button');
+    button.textContent = icon;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.style.cssText = `
+      position: absolute;
+      left: -28px;
+      top: -28px;
+      width: 56px;
+      height: 56px;
+      border: none;
+      border-radius: 50%;
+      background-color: rgba(0, 0, 0, 0.5);
+      font-size: 26px;
+      touch-action: none;
+    `;
+    return button;
+  }
+
+  setOpen(open) {
+    this.isOpen = open;
+    this.optionElements.forEach(option => {
+      option.style.display = open ? 'block' : 'none';
+    });
+  }
+
+  // Number keys 1-4 play the emotes, unless the player is typing
+  onKeyDown(event) {
+    if (!this.enabled || event.repeat) return;
+    if (event.target && ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    const match = /^Digit(\d)$/.exec(event.code);
+    const emote = match && EMOTES[Number(match[1]) - 1];
+    if (emote) {
+      this.select(emote);
+    }
+  }
+
+  select(emote) {
+    if (this.onSelectCallback) {
+      this.onSelectCallback(emote);
+    }
+  }
+
+  // Set select callback, called with the emote name
+  onSelect(callback) {
+    this.onSelectCallback = callback;
+  }
+
+  // Clean up
+  destroy() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    if (this.containerElement) {
+      document.body.removeChild(this.containerElement);
+      this.containerElement = null;
+      this.optionElements = [];
+    }
+  }
+}
+
+export default EmoteMenu;
@@ -1,6 +1,6 @@
 /**
  * Simplified InputManager.js
- * Handles mouse input for the third-person camera with focus on reliability
+ * Handles mouse input for the third-person camera and keyboard input for movement
  */
 
 import { isMobileDevice } from './DeviceDetector.js';
@@ -14,6 +14,10 @@ class InputManager {
     this.mouseDeltaX = 0;
     this.mouseDeltaY = 0;
     
+    // Keyboard tracking (KeyboardEvent.code values)
+    this.keysDown = new Set();
+    this.jumpQueued = false;
+    
     // Pointer lock state
     this.isPointerLocked = false;
     
@@ -44,6 +48,9 @@ class InputManager {
     this.onPointerLockChange = this.onPointerLockChange.bind(this);
     this.onPointerLockError = this.onPointerLockError.bind(this);
     this.onClick = this.onClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
     
     // Set up event listeners
     this.setupEventListeners();
@@ -73,6 +80,57 @@ class InputManager {
     
     // Click to enable controls
     this.domElement.addEventListener('click', this.onClick, false);
+    
+    // Keyboard movement
+    document.addEventListener('keydown', this.onKeyDown, false);
+    document.addEventListener('keyup', this.onKeyUp, false);
+    window.addEventListener('blur', this.onBlur, false);
+  }
+  
+  /**
+   * Handle key presses for movement and jumping
+   */
+  onKeyDown(event) {
+    // Ignore typing in form fields such as the player name input
+    if (event.target && ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    
+    if (event.code === 'Space') {
+      // Only the initial press queues a jump, not keyboard auto-repeat
+      if (!event.repeat) this.jumpQueued = true;
+      event.preventDefault();
+    }
+    
+    this.keysDown.add(event.code);
+  }
+  
+  /**
+   * Handle key releases
+   */
+  onKeyUp(event) {
+    this.keysDown.delete(event.code);
+  }
+  
+  /**
+   * Release all keys when the window loses focus so the character doesn't keep walking
+   */
+  onBlur() {
+    this.releaseAllKeys();
+  }
+  
+  /**
+   * Forget held keys, e.g. when a text input takes the keyboard and their keyup won't be seen as movement
+   */
+  releaseAllKeys() {
+    this.keysDown.clear();
+    this.jumpQueued = false;
+  }
+  
+  /**
+   * Check whether a key is currently held down
+   * @param {string} code - KeyboardEvent.code, e.g. 'KeyW'
+   */
+  isKeyDown(code) {
+    return this.keysDown.has(code);
   }
   
   /**
@@ -172,6 +230,24 @@ class InputManager {
     return movement;
   }
   
+  /**
+   * Get the current movement input
+   * Called by the character controller each frame
+   * @returns {Object} forward and right axes (-1 to 1) and whether a jump was pressed
+   */
+  getMovementInput() {
+    const input = {
+      forward: (this.isKeyDown('KeyW') ? 1 : 0) - (this.isKeyDown('KeyS') ? 1 : 0),
+      right: (this.isKeyDown('KeyD') ? 1 : 0) - (this.isKeyDown('KeyA') ? 1 : 0),
+      jump: this.jumpQueued
+    };
+    
+    // A jump press is only reported once
+    this.jumpQueued = false;
+    
+    return input;
+  }
+  
   /**
    * Clean up all event listeners
    */
@@ -180,6 +256,9 @@ class InputManager {
     document.removeEventListener('pointerlockchange', this.onPointerLockChange, false);
     document.removeEventListener('pointerlockerror', this.onPointerLockError, false);
     this.domElement.removeEventListener('click', this.onClick, false);
+    document.removeEventListener('keydown', this.onKeyDown, false);
+    document.removeEventListener('keyup', this.onKeyUp, false);
+    window.removeEventListener('blur', this.onBlur, false);
     
     // Remove status element if it exists
     if (this.lockStatus && this.lockStatus.parentNode) {
@@ -0,0 +1,145 @@
+import { NO_CONDITIONS, CONDITION_LIMITS } from '../../shared/networkConditions.js';
+
+// Key that shows and hides the panel
+const TOGGLE_KEY = 'F8';
+
+// Slider of each setting, in NO_CONDITIONS order
+const SLIDERS = {
+  latency: { label: 'Latency', unit: 'ms', step: 10, max: 1000 },
+  jitter: { label: 'Jitter', unit: 'ms', step: 5, max: 500 },
+  loss: { label: 'Loss', unit: '%', step: 0.01, max: 0.5, scale: 100 },
+  bandwidth: { label: 'Bandwidth', unit: 'kbit/s', step: 16, max: 2048 }
+};
+
+// Development panel for simulating a bad connection (shared/networkConditions.js),
+// toggled with F8. Latency applies in each direction; loss only drops
+// snapshots and inputs; bandwidth 0 means no cap.
+class NetworkConditionsPanel {
+  constructor(conditions = NO_CONDITIONS) {
+    this.conditions = { ...NO_CONDITIONS, ...conditions };
+    this.panelElement = null;
+    this.noticeElement = null;
+    this.valueElements = {};
+    this.inputElements = {};
+    this.onChangeCallback = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  onKeyDown(e) {
+    if (e.key !== TOGGLE_KEY) return;
+    e.preventDefault();
+    if (!this.panelElement) {
+      this.create();
+    }
+    const visible = this.panelElement.style.display !== 'none';
+    this.panelElement.style.display = visible ? 'none' : 'block';
+  }
+
+  create() {
+    this.panelElement = document.createElement('div');
+    this.panelElement.className = 'network-conditions-panel';
+    this.panelElement.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      width: 260px;
+      padding: 10px 12px;
+      background-color: rgba(0, 0, 0, 0.75);
+      color: white;
+      font: 12px monospace;
+      border-radius: 5px;
+      z-index: 1100;
+      display: none;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = `Network simulation (${TOGGLE_KEY})`;
+    title.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+    this.panelElement.appendChild(title);
+
+    Object.entries(SLIDERS).forEach(([key, slider]) => this.createSlider(key, slider));
+
+    const resetButton = document.createElement('button');
+    resetButton.textContent = 'Reset';
+    resetButton.style.cssText = 'margin-top: 4px; font: inherit; cursor: pointer;';
+    resetButton.addEventListener('click', () => this.setConditions(NO_CONDITIONS));
+    this.panelElement.appendChild(resetButton);
+
+    this.noticeElement = document.createElement('div');
+    this.noticeElement.style.cssText = 'margin-top: 8px; color: #fc6; display: none;';
+    this.panelElement.appendChild(this.noticeElement);
+
+    document.body.appendChild(this.panelElement);
+    this.updateValues();
+  }
+
+  createSlider(key, { label, step, max }) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: block; margin-bottom: 6px;';
+
+    const text = document.createElement('div');
+    text.textContent = label;
+    const value = document.createElement('span');
+    value.style.cssText = 'float: right;';
+    text.appendChild(value);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.max = String(Math.min(max, CONDITION_LIMITS[key]));
+    input.step = String(step);
+    input.style.cssText = 'width: 100%;';
+    // Show the value while dragging, apply it when released
+    input.addEventListener('input', () => {
+      this.conditions[key] = Number(input.value);
+      this.updateValues();
+    });
+    input.addEventListener('change', () => this.notifyChange());
+
+    row.appendChild(text);
+    row.appendChild(input);
+    this.panelElement.appendChild(row);
+    this.valueElements[key] = value;
+    this.inputElements[key] = input;
+  }
+
+  updateValues() {
+    Object.entries(SLIDERS).forEach(([key, { unit, scale = 1 }]) => {
+      const value = this.conditions[key];
+      this.inputElements[key].value = String(value);
+      this.valueElements[key].textContent = key === 'bandwidth' && value === 0
+        ? 'no cap'
+        : `${Math.round(value * scale)} ${unit}`;
+    });
+  }
+
+  setConditions(conditions) {
+    this.conditions = { ...NO_CONDITIONS, ...conditions };
+    if (this.panelElement) this.updateValues();
+    this.notifyChange();
+  }
+
+  // E.g. that the server has the simulation off
+  showNotice(message) {
+    if (!this.panelElement) {
+      this.create();
+    }
+    this.noticeElement.textContent = message;
+    this.noticeElement.style.display = 'block';
+  }
+
+  notifyChange() {
+    if (this.onChangeCallback) {
+      this.onChangeCallback({ ...this.conditions });
+    }
+  }
+
+  // Register callback for changed settings
+  onChange(callback) {
+    this.onChangeCallback = callback;
+  }
+}
+
+export default NetworkConditionsPanel;
@@ -1,7 +1,15 @@
+// Same limits as the server's name validation (server/nameValidator.js)
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 20;
+
 class PlayerNameModal {
   constructor() {
     this.onSubmitCallback = null;
     this.modalElement = null;
+    this.inputElement = null;
+    this.buttonElement = null;
+    this.errorElement = null;
+    this.isBusy = false;
   }
 
   // Create and show the modal
@@ -53,6 +61,7 @@ class PlayerNameModal {
     const input = document.createElement('input');
     input.type = 'text';
     input.placeholder = 'Your Name';
+    input.maxLength = MAX_NAME_LENGTH;
     input.className = 'player-name-input';
     input.style.cssText = `
       width: 100%;
@@ -64,6 +73,17 @@ class PlayerNameModal {
       font-size: 16px;
     `;
 
+    // Create error message, shown below the input when a name is refused
+    const error = document.createElement('div');
+    error.className = 'player-name-error';
+    error.setAttribute('role', 'alert');
+    error.style.cssText = `
+      display: none;
+      color: #c62828;
+      font-size: 14px;
+      margin: -5px 0 10px;
+    `;
+
     // Create enter button
     const button = document.createElement('button');
     button.textContent = 'Enter';
@@ -92,9 +112,17 @@ class PlayerNameModal {
       }
     });
 
+    // Editing the name clears the last error
+    input.addEventListener('input', () => this.clearError());
+
+    this.inputElement = input;
+    this.buttonElement = button;
+    this.errorElement = error;
+
     // Assemble modal
     modalContent.appendChild(title);
     modalContent.appendChild(input);
+    modalContent.appendChild(error);
     modalContent.appendChild(button);
     this.modalElement.appendChild(modalContent);
 
@@ -107,23 +135,56 @@ class PlayerNameModal {
 
   // Handle submit button or Enter key
   handleSubmit(name) {
-    // Validate name
-    if (!name || name.trim() === '') {
-      alert('Please enter a name');
+    if (this.isBusy) return;
+
+    // Quick checks here, the server has the final say and may still refuse the name
+    const trimmed = (name || '').trim();
+    if (trimmed === '') {
+      this.showError('Please enter a name');
+      return;
+    }
+    if (Array.from(trimmed).length < MIN_NAME_LENGTH || Array.from(trimmed).length > MAX_NAME_LENGTH) {
+      this.showError(`Name must be ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} characters`);
       return;
     }
 
-    // Hide modal
-    this.hide();
+    // Stay open until the server accepts the name (hide()) or refuses it (showError())
+    this.clearError();
+    this.setBusy(true);
 
     // Call callback with name
     if (this.onSubmitCallback) {
-      this.onSubmitCallback(name.trim());
+      this.onSubmitCallback(trimmed);
+    }
+  }
+
+  // Show why the name can't be used and let the player try another one
+  showError(message) {
+    this.setBusy(false);
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.style.display = 'block';
+    if (this.inputElement) this.inputElement.focus();
+  }
+
+  clearError() {
+    if (this.errorElement) {
+      this.errorElement.style.display = 'none';
+    }
+  }
+
+  // Disable the button while waiting for the server
+  setBusy(busy) {
+    this.isBusy = busy;
+    if (this.buttonElement) {
+      this.buttonElement.disabled = busy;
+      this.buttonElement.textContent = busy ? 'Joining…' : 'Enter';
     }
   }
 
   // Hide the modal
   hide() {
+    this.setBusy(false);
     if (this.modalElement) {
       this.modalElement.style.display = 'none';
     }
@@ -139,6 +200,9 @@ class PlayerNameModal {
     if (this.modalElement) {
       document.body.removeChild(this.modalElement);
       this.modalElement = null;
+      this.inputElement = null;
+      this.buttonElement = null;
+      this.errorElement = null;
     }
   }
 }
@@ -0,0 +1,66 @@
+// Full-screen notice shown while the connection to the server is being restored
+class ReconnectingOverlay {
+  constructor() {
+    this.overlayElement = null;
+    this.messageElement = null;
+  }
+
+  // Create and show the overlay
+  show(message = 'Reconnecting…') {
+    if (!this.overlayElement) {
+      this.create();
+    }
+    this.messageElement.textContent = message;
+    this.overlayElement.style.display = 'flex';
+  }
+
+  create() {
+    this.overlayElement = document.createElement('div');
+    this.overlayElement.className = 'reconnecting-overlay';
+    this.overlayElement.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0, 0, 0, 0.4);
+      display: none;
+      justify-content: center;
+      align-items: center;
+      z-index: 1000;
+      pointer-events: none;
+    `;
+
+    this.messageElement = document.createElement('div');
+    this.messageElement.className = 'reconnecting-message';
+    this.messageElement.style.cssText = `
+      background-color: white;
+      color: #333;
+      padding: 15px 25px;
+      border-radius: 5px;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+      font-size: 18px;
+    `;
+
+    this.overlayElement.appendChild(this.messageElement);
+    document.body.appendChild(this.overlayElement);
+  }
+
+  // Hide the overlay
+  hide() {
+    if (this.overlayElement) {
+      this.overlayElement.style.display = 'none';
+    }
+  }
+
+  // Clean up
+  destroy() {
+    if (this.overlayElement) {
+      document.body.removeChild(this.overlayElement);
+      this.overlayElement = null;
+      this.messageElement = null;
+    }
+  }
+}
+
+export default ReconnectingOverlay;
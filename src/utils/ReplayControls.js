@@ -0,0 +1,175 @@
+// Playback speeds to choose from
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Arrow keys jump this far (ms)
+const SKIP_MS = 5000;
+
+// Format milliseconds as m:ss
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Bar at the bottom of the replay viewer: open a recording (or drop it on
+// the page), play/pause (space), scrub (arrow keys skip), speed, and the
+// player the camera follows
+class ReplayControls {
+  constructor() {
+    this.barElement = null;
+    this.playButton = null;
+    this.timeSlider = null;
+    this.timeLabel = null;
+    this.followSelect = null;
+    this.messageElement = null;
+    this.time = 0;
+    this.duration = 0;
+    this.scrubbing = false;
+    this.callbacks = {};
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  show() {
+    if (!this.barElement) {
+      this.create();
+    }
+    this.barElement.style.display = 'flex';
+  }
+
+  create() {
+    document.addEventListener('keydown', this.onKeyDown);
+    // Recordings can be dropped anywhere on the page
+    window.addEventListener('dragover', (e) => e.preventDefault());
+    window.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (file) this.emit('open', file);
+    });
+
+    this.barElement = document.createElement('div');
+    this.barElement.className = 'replay-controls';
+    this.barElement.style.cssText = `
+      position: fixed;
+      left: 10px;
+      right: 10px;
+      bottom: 10px;
+      display: none;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      background-color: rgba(0, 0, 0, 0.7);
+      color: white;
+      font: 13px sans-serif;
+      border-radius: 5px;
+      z-index: 900;
+    `;
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.ndjson,application/x-ndjson';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.emit('open', fileInput.files[0]);
+      fileInput.value = '';
+    });
+    const openButton = this.createButton('Open recording', () => fileInput.click());
+
+    this.playButton = this.createButton('▶', () => this.emit('togglePlay'));
+    this.playButton.disabled = true;
+
+    this.timeSlider = document.createElement('input');
+    this.timeSlider.type = 'range';
+    this.timeSlider.min = '0';
+    this.timeSlider.max = '0';
+    this.timeSlider.style.cssText = 'flex: 1;';
+    this.timeSlider.addEventListener('input', () => {
+      this.scrubbing = true;
+      this.emit('seek', Number(this.timeSlider.value));
+    });
+    this.timeSlider.addEventListener('change', () => {
+      this.scrubbing = false;
+    });
+
+    this.timeLabel = document.createElement('span');
+    this.timeLabel.style.cssText = 'min-width: 80px; text-align: center; font-family: monospace;';
+
+    const speedSelect = document.createElement('select');
+    SPEEDS.forEach(speed => speedSelect.add(new Option(`${speed}×`, String(speed), false, speed === 1)));
+    speedSelect.addEventListener('change', () => this.emit('speed', Number(speedSelect.value)));
+
+    this.followSelect = document.createElement('select');
+    this.followSelect.title = 'Camera follows';
+    this.followSelect.addEventListener('change', () => this.emit('follow', this.followSelect.value));
+
+    this.messageElement = document.createElement('span');
+    this.messageElement.textContent = 'Open or drop a session recording (.ndjson)';
+
+    [fileInput, openButton, this.playButton, this.timeSlider, this.timeLabel, speedSelect, this.followSelect, this.messageElement]
+      .forEach(element => this.barElement.appendChild(element));
+    document.body.appendChild(this.barElement);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = 'font: inherit; cursor: pointer;';
+    button.addEventListener('click', () => {
+      onClick();
+      // Keep the space bar for play/pause rather than clicking the button again
+      button.blur();
+    });
+    return button;
+  }
+
+  onKeyDown(e) {
+    if (!this.duration || e.target.tagName === 'SELECT') return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      this.emit('togglePlay');
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const skip = e.key === 'ArrowLeft' ? -SKIP_MS : SKIP_MS;
+      this.emit('seek', Math.max(0, Math.min(this.duration, this.time + skip)));
+    }
+  }
+
+  // A recording was loaded: its length and the players in it
+  setRecording({ room, duration, players }) {
+    this.duration = duration;
+    this.timeSlider.max = String(duration);
+    this.playButton.disabled = false;
+    this.messageElement.textContent = `Room ${room}`;
+
+    this.followSelect.innerHTML = '';
+    players.forEach(({ id, name }) => this.followSelect.add(new Option(name, id)));
+  }
+
+  // Show the playback position; the slider is left alone while it is dragged
+  update(time, playing) {
+    this.time = time;
+    if (!this.scrubbing) {
+      this.timeSlider.value = String(time);
+    }
+    this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(this.duration)}`;
+    this.playButton.textContent = playing ? '❚❚' : '▶';
+  }
+
+  setFollowed(id) {
+    this.followSelect.value = id;
+  }
+
+  showError(message) {
+    this.messageElement.textContent = message;
+  }
+
+  // Register a callback: open(file), togglePlay(), seek(ms), speed(factor), follow(playerId)
+  on(event, callback) {
+    this.callbacks[event] = callback;
+  }
+
+  emit(event, ...args) {
+    if (this.callbacks[event]) this.callbacks[event](...args);
+  }
+}
+
+export default ReplayControls;